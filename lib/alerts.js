@@ -0,0 +1,80 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const retryPolicy = require('./retry-policy');
+
+// Operator alerts (missed reports, failed jobs, the daily digest) sent to a notification
+// webhook, by email over SMTP, or both. Sending never throws: each channel's outcome is
+// returned so a broken alert channel cannot break the job that raised the alert.
+
+const config = {
+    webhookUrl: null,
+    smtp: null,
+    retryPolicy: null
+};
+
+let transport = null;
+
+function configureAlerts({ webhookUrl, smtp, retryPolicy: policy }) {
+    config.webhookUrl = webhookUrl || null;
+    config.smtp = smtp && smtp.host && smtp.to ? smtp : null;
+    config.retryPolicy = policy;
+    transport = null;
+}
+
+function getChannels() {
+    return [config.webhookUrl && 'webhook', config.smtp && 'email'].filter(Boolean);
+}
+
+// JSON POST; "text" makes it readable as-is by Slack-style incoming webhooks
+async function sendWebhook(alert) {
+    await retryPolicy.withRetry(config.retryPolicy, () => axios.post(config.webhookUrl, alert, {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000
+    }));
+}
+
+async function sendEmail(alert) {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: config.smtp.host,
+            port: config.smtp.port,
+            secure: config.smtp.secure,
+            auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined
+        });
+    }
+    await retryPolicy.withRetry(config.retryPolicy, () => transport.sendMail({
+        from: config.smtp.from,
+        to: config.smtp.to,
+        subject: `[WexDownloader] ${alert.subject}`,
+        text: alert.text
+    }));
+}
+
+// Send an alert to every configured channel: { kind, subject, text, details }
+async function sendAlert({ kind, subject, text, details }) {
+    const channels = getChannels();
+    if (channels.length === 0) {
+        console.warn(`⚠️  Alert not sent (no ALERT_WEBHOOK_URL or SMTP configured): ${subject}`);
+        return [];
+    }
+
+    console.log(`🚨 Sending ${kind} alert: ${subject}`);
+    const alert = { kind, subject, text, details: details || null, at: new Date().toISOString() };
+    const results = [];
+    for (const channel of channels) {
+        try {
+            await (channel === 'webhook' ? sendWebhook(alert) : sendEmail(alert));
+            results.push({ channel, success: true });
+        } catch (error) {
+            console.error(`❌ Failed to send ${kind} alert by ${channel}: ${error.message}`);
+            results.push({ channel, success: false, error: error.message });
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    configureAlerts,
+    getChannels,
+    sendAlert
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// Missive signs rule webhooks with HMAC-SHA256 of the raw body: "sha256=<hex>"
+const SIGNATURE_HEADER = 'x-hook-signature';
+
+// Keep the raw request body around so signatures can be checked after JSON parsing
+function captureRawBody(req, res, buf) {
+    req.rawBody = buf;
+}
+
+// Constant-time string comparison that tolerates different lengths
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    if (bufA.length !== bufB.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function rejectRequest(req, res, status, error, details) {
+    console.warn(`🚫 ${status} ${req.method} ${req.originalUrl} from ${req.ip}: ${error}`);
+    return res.status(status).json({
+        error,
+        details,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Verify the Missive webhook signature; a no-op when no secret is configured
+function verifyMissiveSignature(secret) {
+    return (req, res, next) => {
+        if (!secret) {
+            return next();
+        }
+
+        const header = req.get(SIGNATURE_HEADER);
+        if (!header) {
+            return rejectRequest(req, res, 401, 'Missing webhook signature',
+                `Expected ${SIGNATURE_HEADER} header signed with the shared secret`);
+        }
+
+        const expected = 'sha256=' + crypto
+            .createHmac('sha256', secret)
+            .update(req.rawBody || '')
+            .digest('hex');
+
+        const provided = header.startsWith('sha256=') ? header : `sha256=${header}`;
+        if (!safeEqual(provided, expected)) {
+            return rejectRequest(req, res, 403, 'Invalid webhook signature',
+                'Signature does not match the request body');
+        }
+
+        next();
+    };
+}
+
+// Require the admin API key as a bearer token or X-API-Key header; a no-op when no key is configured
+function requireAdminKey(apiKey) {
+    return (req, res, next) => {
+        if (!apiKey) {
+            return next();
+        }
+
+        let provided = req.get('x-api-key');
+        const authorization = req.get('authorization');
+        if (!provided && authorization && authorization.startsWith('Bearer ')) {
+            provided = authorization.slice('Bearer '.length).trim();
+        }
+
+        if (!provided) {
+            return rejectRequest(req, res, 401, 'Authentication required',
+                'Send the admin API key as "Authorization: Bearer <key>" or "X-API-Key: <key>"');
+        }
+
+        if (!safeEqual(provided, apiKey)) {
+            return rejectRequest(req, res, 403, 'Invalid API key',
+                'The provided API key is not authorized for this endpoint');
+        }
+
+        next();
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    captureRawBody,
+    verifyMissiveSignature,
+    requireAdminKey
+};
@@ -0,0 +1,329 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const retryPolicy = require('./retry-policy');
+const metrics = require('./metrics');
+const { compilePattern } = require('./routing');
+const { MISSIVE_API_URL } = require('./missive-source');
+
+// Catch-up runs over past Missive conversations. A run lists conversations active in a date
+// range, keeps the messages from the given senders or with matching subjects, and hands each
+// one to the normal pipeline (or only lists them on a dry run). Missive API calls are spaced
+// out by requestIntervalMs and 429s are retried after their Retry-After delay.
+
+const MAILBOXES = ['all', 'inbox', 'closed'];
+
+// Missive page sizes
+const CONVERSATIONS_PAGE_SIZE = 50;
+const MESSAGES_PAGE_SIZE = 10;
+
+// Finished runs kept in memory for GET /backfill
+const MAX_RUNS = 20;
+
+const config = {
+    apiKey: null,
+    retryPolicy: null,
+    requestIntervalMs: 1000
+};
+
+const runs = new Map();
+let nextRequestAt = 0;
+
+function configureBackfill({ apiKey, retryPolicy: policy, requestIntervalMs }) {
+    config.apiKey = apiKey;
+    config.retryPolicy = policy;
+    if (requestIntervalMs !== undefined) {
+        config.requestIntervalMs = requestIntervalMs;
+    }
+}
+
+// One Missive API GET, never closer than requestIntervalMs to the previous one
+async function missiveGet(apiPath, params, operation) {
+    const { result: response } = await retryPolicy.withRetry(config.retryPolicy, async () => {
+        const waitMs = nextRequestAt - Date.now();
+        if (waitMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+        nextRequestAt = Date.now() + config.requestIntervalMs;
+
+        try {
+            return await axios.get(`${MISSIVE_API_URL}${apiPath}`, {
+                params,
+                headers: {
+                    'Authorization': `Bearer ${config.apiKey}`,
+                    'Accept': 'application/json'
+                },
+                timeout: 15000
+            });
+        } catch (error) {
+            metrics.recordMissiveError(operation, error);
+            throw error;
+        }
+    });
+    return response.data;
+}
+
+function toTimestamp(value, name) {
+    const time = Date.parse(value);
+    if (isNaN(time)) {
+        throw new Error(`${name} must be a date (YYYY-MM-DD) or an ISO timestamp`);
+    }
+    return time;
+}
+
+function toList(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map(item => String(item).trim()).filter(Boolean);
+}
+
+// Validate request options into a run's filters. Dates are inclusive; a bare "until" date
+// covers that whole day (UTC).
+function parseBackfillOptions(input) {
+    if (!input.since) {
+        throw new Error('since is required');
+    }
+    const since = toTimestamp(input.since, 'since');
+    let until = input.until ? toTimestamp(input.until, 'until') : Date.now();
+    if (input.until && /^\d{4}-\d{2}-\d{2}$/.test(input.until)) {
+        until += 24 * 60 * 60 * 1000 - 1;
+    }
+    if (until < since) {
+        throw new Error('until must not be before since');
+    }
+
+    const from = toList(input.from).map(address => address.toLowerCase());
+    const subjects = toList(input.subject);
+    if (from.length === 0 && subjects.length === 0) {
+        throw new Error('Give at least one sender (from) or subject pattern');
+    }
+
+    const mailbox = input.mailbox || 'all';
+    if (!MAILBOXES.includes(mailbox)) {
+        throw new Error(`mailbox must be one of: ${MAILBOXES.join(', ')}`);
+    }
+
+    const limit = input.limit !== undefined ? parseInt(input.limit) : null;
+    if (limit !== null && !(limit > 0)) {
+        throw new Error('limit must be a positive number');
+    }
+
+    return {
+        since: new Date(since).toISOString(),
+        until: new Date(until).toISOString(),
+        from,
+        subjects,
+        mailbox,
+        limit,
+        force: input.force === true || input.force === 'true',
+        dryRun: input.dryRun === true || input.dryRun === 'true'
+    };
+}
+
+function messageMatches(message, filters) {
+    const address = (message.from_field?.address || '').toLowerCase();
+    const subject = message.subject || '';
+    if (filters.from.length > 0 && !filters.from.includes(address)) {
+        return false;
+    }
+    if (filters.subjectPatterns.length > 0 && !filters.subjectPatterns.some(pattern => pattern.test(subject))) {
+        return false;
+    }
+    return true;
+}
+
+// Messages of one conversation delivered inside the range, oldest first
+async function listConversationMessages(conversationId, filters) {
+    const messages = [];
+    let until;
+    for (;;) {
+        const data = await missiveGet(`/conversations/${conversationId}/messages`, {
+            limit: MESSAGES_PAGE_SIZE,
+            ...(until ? { until } : {})
+        }, 'list_messages');
+        const page = data.messages || [];
+
+        for (const message of page) {
+            const deliveredAt = (message.delivered_at || 0) * 1000;
+            if (deliveredAt >= filters.sinceMs && deliveredAt <= filters.untilMs) {
+                messages.push({ ...message, deliveredAt });
+            }
+        }
+
+        const oldest = page[page.length - 1];
+        if (page.length < MESSAGES_PAGE_SIZE || !oldest || oldest.delivered_at * 1000 < filters.sinceMs || oldest.delivered_at === until) {
+            break;
+        }
+        until = oldest.delivered_at;
+    }
+    return messages.reverse();
+}
+
+// Walk conversations from newest to oldest activity, stopping once activity predates "since"
+async function findMessages(run) {
+    const { options } = run;
+    const filters = {
+        ...options,
+        sinceMs: Date.parse(options.since),
+        untilMs: Date.parse(options.until),
+        subjectPatterns: options.subjects.map(subject => compilePattern(subject))
+    };
+    const seenConversations = new Set();
+    const found = [];
+    let until;
+
+    for (;;) {
+        const data = await missiveGet('/conversations', {
+            [options.mailbox]: true,
+            limit: CONVERSATIONS_PAGE_SIZE,
+            ...(until ? { until } : {})
+        }, 'list_conversations');
+        const page = data.conversations || [];
+
+        for (const conversation of page) {
+            if (run.stopRequested) {
+                return found;
+            }
+            if (seenConversations.has(conversation.id)) continue;
+            seenConversations.add(conversation.id);
+            run.scanned.conversations++;
+
+            // Nothing in a conversation that was last active before the range starts
+            if (conversation.last_activity_at * 1000 < filters.sinceMs) continue;
+
+            // Skip conversations none of the senders wrote in, without listing their messages
+            const authors = (conversation.authors || []).map(author => (author.address || '').toLowerCase());
+            if (options.from.length > 0 && authors.length > 0 && !authors.some(address => options.from.includes(address))) continue;
+
+            const messages = await listConversationMessages(conversation.id, filters);
+            run.scanned.messages += messages.length;
+            for (const message of messages.filter(candidate => messageMatches(candidate, filters))) {
+                found.push({
+                    messageId: message.id,
+                    conversationId: conversation.id,
+                    subject: message.subject || conversation.subject || '',
+                    from: message.from_field?.address || '',
+                    deliveredAt: new Date(message.deliveredAt).toISOString()
+                });
+                if (options.limit && found.length >= options.limit) {
+                    return found;
+                }
+            }
+        }
+
+        const oldest = page[page.length - 1];
+        if (page.length < CONVERSATIONS_PAGE_SIZE || !oldest || oldest.last_activity_at * 1000 < filters.sinceMs || oldest.last_activity_at === until) {
+            return found;
+        }
+        until = oldest.last_activity_at;
+    }
+}
+
+// Run a backfill. hooks.skipReason(messageId) says why a message must not be processed
+// (already processed, in progress) or returns null; hooks.processMessage(message) runs it
+// through the pipeline and resolves to the finished job.
+async function executeRun(run, hooks) {
+    try {
+        console.log(`🕰️  Backfill ${run.id}: ${run.options.since} to ${run.options.until}${run.options.dryRun ? ' (dry run)' : ''}`);
+        const found = await findMessages(run);
+        console.log(`🕰️  Backfill ${run.id}: ${found.length} matching message(s) in ${run.scanned.conversations} conversation(s)`);
+
+        for (const message of found) {
+            if (run.stopRequested) {
+                break;
+            }
+            const entry = { ...message, status: null, jobId: null, error: null };
+            run.messages.push(entry);
+
+            const skipReason = run.options.force ? null : hooks.skipReason(message.messageId);
+            if (skipReason) {
+                entry.status = skipReason;
+                run.counts.skipped++;
+                continue;
+            }
+            if (run.options.dryRun) {
+                entry.status = 'would-process';
+                run.counts.wouldProcess++;
+                continue;
+            }
+
+            entry.status = 'processing';
+            try {
+                const job = await hooks.processMessage(message, { force: run.options.force });
+                entry.jobId = job.id;
+                entry.status = job.state;
+                entry.error = job.error || null;
+                run.counts[job.state === 'succeeded' ? 'succeeded' : 'failed']++;
+            } catch (error) {
+                entry.status = 'failed';
+                entry.error = error.message;
+                run.counts.failed++;
+            }
+        }
+        run.state = run.stopRequested ? 'stopped' : 'completed';
+    } catch (error) {
+        console.error(`❌ Backfill ${run.id} failed: ${error.message}`);
+        run.state = 'failed';
+        run.error = error.message;
+    }
+    run.finishedAt = new Date().toISOString();
+    console.log(`🕰️  Backfill ${run.id} ${run.state}: ${JSON.stringify(run.counts)}`);
+    return run;
+}
+
+function isRunning() {
+    return Array.from(runs.values()).some(run => run.state === 'running' && !run.options.dryRun);
+}
+
+// Start a run in the background; the returned run is updated as it progresses and
+// run.done resolves when it finishes
+function startBackfill(options, hooks) {
+    const run = {
+        id: crypto.randomUUID(),
+        state: 'running',
+        options,
+        scanned: { conversations: 0, messages: 0 },
+        counts: { wouldProcess: 0, skipped: 0, succeeded: 0, failed: 0 },
+        messages: [],
+        error: null,
+        stopRequested: false,
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+    };
+
+    runs.set(run.id, run);
+    for (const id of Array.from(runs.keys()).slice(0, Math.max(0, runs.size - MAX_RUNS))) {
+        runs.delete(id);
+    }
+
+    Object.defineProperty(run, 'done', { value: executeRun(run, hooks), enumerable: false });
+    return run;
+}
+
+// Let running backfills finish their current message and start no more, e.g. on shutdown
+function stopBackfills() {
+    const running = Array.from(runs.values()).filter(run => run.state === 'running');
+    for (const run of running) {
+        run.stopRequested = true;
+    }
+    return running.length;
+}
+
+function getRun(id) {
+    return runs.get(id) || null;
+}
+
+function listRuns() {
+    return Array.from(runs.values())
+        .reverse()
+        .map(({ messages, ...summary }) => ({ ...summary, messageCount: messages.length }));
+}
+
+module.exports = {
+    MAILBOXES,
+    configureBackfill,
+    parseBackfillOptions,
+    isRunning,
+    startBackfill,
+    stopBackfills,
+    getRun,
+    listRuns
+};
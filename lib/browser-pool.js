@@ -0,0 +1,195 @@
+const { chromium } = require('playwright');
+const metrics = require('./metrics');
+
+// One shared Chromium with a cap on concurrent contexts. Extra requests wait in a FIFO queue.
+// If Chromium disconnects without us closing it, it is relaunched and in-flight work is
+// failed with a BrowserCrashedError so the job can be retried.
+
+class BrowserCrashedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BrowserCrashedError';
+        this.browserCrashed = true;
+        this.retryable = true;
+    }
+}
+
+const pool = {
+    headless: true,
+    maxContexts: 3,
+    queueTimeoutMs: 5 * 60 * 1000,
+    browser: null,
+    launching: null,
+    generation: 0,
+    closingIntentionally: false,
+    activeContexts: 0,
+    waiters: [],
+    restarts: 0,
+    crashes: 0,
+    lastRestartAt: null,
+    lastCrashAt: null
+};
+
+function configureBrowserPool({ headless, maxContexts, queueTimeoutMs }) {
+    pool.headless = headless;
+    pool.maxContexts = Math.max(1, maxContexts);
+    pool.queueTimeoutMs = queueTimeoutMs;
+}
+
+// Launch Chromium once; concurrent callers share the same launch
+async function getBrowser() {
+    if (pool.browser && pool.browser.isConnected()) {
+        return pool.browser;
+    }
+    if (!pool.launching) {
+        pool.launching = launchBrowser().finally(() => {
+            pool.launching = null;
+        });
+    }
+    return pool.launching;
+}
+
+async function launchBrowser() {
+    console.log(`Initializing browser (headless: ${pool.headless})...`);
+    const browser = await chromium.launch({
+        headless: pool.headless
+    });
+
+    pool.generation++;
+    const generation = pool.generation;
+    browser.on('disconnected', () => handleDisconnect(generation));
+
+    pool.browser = browser;
+    console.log('✓ Browser initialized and ready');
+    return browser;
+}
+
+// Chromium went away: relaunch unless we closed it on purpose
+function handleDisconnect(generation) {
+    if (generation !== pool.generation) {
+        return;
+    }
+    pool.browser = null;
+
+    if (pool.closingIntentionally) {
+        return;
+    }
+
+    pool.crashes++;
+    pool.restarts++;
+    pool.lastCrashAt = new Date().toISOString();
+    pool.lastRestartAt = pool.lastCrashAt;
+    metrics.recordBrowserRestart('crash');
+    console.error(`💥 Browser disconnected unexpectedly (crash #${pool.crashes}) - relaunching...`);
+
+    // Bump the generation so work running on the dead browser is reported as crashed
+    pool.generation++;
+    getBrowser().catch(err => {
+        console.error(`❌ Failed to relaunch browser: ${err.message}`);
+    });
+}
+
+// Take a slot, waiting in line when all are busy
+function acquireSlot() {
+    if (pool.activeContexts < pool.maxContexts) {
+        pool.activeContexts++;
+        return Promise.resolve();
+    }
+
+    console.log(`⏳ All ${pool.maxContexts} browser slots busy - queued (${pool.waiters.length + 1} waiting)`);
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, reject };
+        waiter.timer = setTimeout(() => {
+            pool.waiters = pool.waiters.filter(w => w !== waiter);
+            reject(new Error(`Timed out after ${Math.round(pool.queueTimeoutMs / 1000)}s waiting for a browser slot`));
+        }, pool.queueTimeoutMs);
+        pool.waiters.push(waiter);
+    });
+}
+
+// Hand the slot straight to the next waiter, or free it
+function releaseSlot() {
+    const next = pool.waiters.shift();
+    if (next) {
+        clearTimeout(next.timer);
+        next.resolve();
+    } else {
+        pool.activeContexts--;
+    }
+}
+
+// Run fn(context) in a fresh browser context, holding a pool slot for its duration
+async function withContext(contextOptions, fn) {
+    await acquireSlot();
+
+    let context;
+    let generation = null;
+    try {
+        const browser = await getBrowser();
+        generation = pool.generation;
+        context = await browser.newContext(contextOptions);
+        return await fn(context);
+    } catch (error) {
+        if (generation !== null && generation !== pool.generation && !pool.closingIntentionally) {
+            throw new BrowserCrashedError(`Browser crashed during download: ${error.message}`);
+        }
+        throw error;
+    } finally {
+        if (context) {
+            await context.close().catch(() => {});
+        }
+        releaseSlot();
+    }
+}
+
+async function closeBrowser() {
+    if (!pool.browser) {
+        return;
+    }
+    pool.closingIntentionally = true;
+    try {
+        await pool.browser.close();
+    } finally {
+        pool.browser = null;
+        pool.closingIntentionally = false;
+    }
+}
+
+// Manual restart from /restart-browser
+async function restartBrowser() {
+    await closeBrowser();
+    pool.restarts++;
+    pool.lastRestartAt = new Date().toISOString();
+    metrics.recordBrowserRestart('manual');
+    return getBrowser();
+}
+
+function getPoolStats() {
+    let status = 'not initialized';
+    if (pool.browser && pool.browser.isConnected()) {
+        status = 'running';
+    } else if (pool.launching) {
+        status = 'launching';
+    }
+
+    return {
+        status,
+        activeContexts: pool.activeContexts,
+        maxContexts: pool.maxContexts,
+        queued: pool.waiters.length,
+        restarts: pool.restarts,
+        crashes: pool.crashes,
+        lastRestartAt: pool.lastRestartAt,
+        lastCrashAt: pool.lastCrashAt
+    };
+}
+
+module.exports = {
+    BrowserCrashedError,
+    configureBrowserPool,
+    getBrowser,
+    withContext,
+    closeBrowser,
+    restartBrowser,
+    getPoolStats
+};
@@ -0,0 +1,218 @@
+const path = require('path');
+
+// File types we forward downstream, with the content type sent alongside them
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Raised when a "download" is not a usable report (login page, error page, truncated file).
+// Retryable: the portal often serves a real file on the next attempt.
+class InvalidReportError extends Error {
+    constructor(message, detectedType) {
+        super(message);
+        this.name = 'InvalidReportError';
+        this.detectedType = detectedType;
+        this.retryable = true;
+    }
+}
+
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function looksLikeHtml(head) {
+    const start = head.trimStart().toLowerCase();
+    return start.startsWith('<!doctype html') ||
+        start.startsWith('<html') ||
+        start.startsWith('<head') ||
+        start.startsWith('<body') ||
+        (start.startsWith('<') && /<(html|head|body|form|script)[\s>]/.test(start));
+}
+
+function isText(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    return !sample.includes(0);
+}
+
+// A CSV starts with a header of at least two comma-separated fields. JSON and markup
+// error pages contain commas too, so their first line is not taken as a header.
+function hasCsvHeader(head) {
+    const firstLine = stripBom(head).split(/\r?\n/).find(line => line.trim() !== '') || '';
+    if (/^\s*[{[<]/.test(firstLine)) {
+        return false;
+    }
+    return splitCsvLine(firstLine).filter(field => field.trim() !== '').length >= 2;
+}
+
+// Identify a file from its content alone: magic bytes for PDF and XLSX, markup for HTML, and a
+// delimited header line for CSV. The extension is only reported, never trusted.
+function detectFileType(buffer, fileName = '') {
+    const extension = path.extname(fileName).replace('.', '').toLowerCase();
+    const head = buffer.subarray(0, 1024).toString('latin1');
+
+    let type = 'unknown';
+
+    if (head.replace(/^(\xef\xbb\xbf|\s)+/, '').startsWith('%PDF-')) {
+        type = 'pdf';
+    } else if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+        // Office files are zip archives; XLSX has workbook parts under xl/
+        const listing = buffer.toString('latin1');
+        if (listing.includes('[Content_Types].xml') && listing.includes('xl/')) {
+            type = 'xlsx';
+        } else {
+            type = 'zip';
+        }
+    } else if (looksLikeHtml(head)) {
+        type = 'html';
+    } else if (isText(buffer) && hasCsvHeader(buffer.subarray(0, 8192).toString('utf8'))) {
+        type = 'csv';
+    }
+
+    return {
+        type,
+        extension,
+        contentType: CONTENT_TYPES[type] || 'application/octet-stream'
+    };
+}
+
+// Split one CSV line, honouring double-quoted fields
+function splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (inQuotes) {
+            if (char === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                current += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    fields.push(current);
+    return fields;
+}
+
+// Split CSV text into rows of fields; quoted fields may span lines
+function parseCsv(text) {
+    const rows = [];
+    let pending = '';
+
+    for (const line of stripBom(text).split(/\r?\n/)) {
+        pending = pending ? `${pending}\n${line}` : line;
+        // An odd number of quotes means a quoted field continues on the next line
+        if ((pending.match(/"/g) || []).length % 2 === 1) {
+            continue;
+        }
+        if (pending.trim() !== '') {
+            rows.push(splitCsvLine(pending));
+        }
+        pending = '';
+    }
+
+    if (pending.trim() !== '') {
+        throw new Error('unterminated quoted field');
+    }
+    return rows;
+}
+
+function validateCsv(buffer) {
+    let rows;
+    try {
+        rows = parseCsv(buffer.toString('utf8'));
+    } catch (err) {
+        throw new InvalidReportError(`CSV is malformed: ${err.message}`, 'csv');
+    }
+
+    if (rows.length === 0) {
+        throw new InvalidReportError('CSV has no rows', 'csv');
+    }
+
+    const columns = rows[0].length;
+    if (columns < 2) {
+        throw new InvalidReportError('CSV header has fewer than two columns', 'csv');
+    }
+
+    // Exports may end with short footer rows and carry short "total" rows between the data;
+    // any other row in the data block must match the header
+    let lastFullRow = 0;
+    rows.forEach((row, index) => {
+        if (row.length === columns) lastFullRow = index;
+    });
+    const ragged = rows.findIndex((row, index) => row.length > columns ||
+        (row.length < columns && index < lastFullRow && !/total/i.test(row[0] || '')));
+    if (ragged !== -1) {
+        throw new InvalidReportError(`CSV row ${ragged + 1} has ${rows[ragged].length} columns, expected ${columns}`, 'csv');
+    }
+
+    return { rows: rows.length - 1, columns };
+}
+
+function validatePdf(buffer) {
+    const tail = buffer.subarray(Math.max(0, buffer.length - 2048)).toString('latin1');
+    if (!tail.includes('%%EOF')) {
+        throw new InvalidReportError('PDF is truncated (no %%EOF trailer)', 'pdf');
+    }
+
+    const text = buffer.toString('latin1');
+    if (!/\d+\s+\d+\s+obj\b/.test(text)) {
+        throw new InvalidReportError('PDF contains no objects', 'pdf');
+    }
+    if (!text.includes('startxref') && !text.includes('/XRef')) {
+        throw new InvalidReportError('PDF has no cross-reference table', 'pdf');
+    }
+
+    const pages = (text.match(/\/Type\s*\/Page\b/g) || []).length;
+    return { pages };
+}
+
+// Detect the file type and check its structure; throws InvalidReportError for anything we should not forward
+function validateReport(buffer, fileName) {
+    const detected = detectFileType(buffer, fileName);
+    console.log(`🔎 Detected file type: ${detected.type} (${detected.contentType})`);
+
+    if (detected.type === 'html') {
+        const title = /<title[^>]*>([^<]*)<\/title>/i.exec(buffer.toString('utf8'));
+        throw new InvalidReportError(`Download is an HTML page${title ? ` ("${title[1].trim()}")` : ''}, not a report`, 'html');
+    }
+
+    let details;
+    switch (detected.type) {
+        case 'pdf':
+            details = validatePdf(buffer);
+            break;
+        case 'csv':
+            details = validateCsv(buffer);
+            break;
+        case 'xlsx':
+            details = {};
+            break;
+        default:
+            throw new InvalidReportError(`Unexpected file content (${detected.type}) for ${fileName}`, detected.type);
+    }
+
+    console.log(`   ✓ ${detected.type.toUpperCase()} structure looks valid`);
+    return { ...detected, ...details };
+}
+
+module.exports = {
+    CONTENT_TYPES,
+    InvalidReportError,
+    detectFileType,
+    parseCsv,
+    validateReport
+};
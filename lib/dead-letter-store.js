@@ -0,0 +1,112 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Reports whose delivery failed for good, kept with their file so they can be replayed.
+// Layout: <persistentDir>/dead-letters/<id>/entry.json + file.<ext>
+const entries = new Map();
+
+let deadLetterDir = null;
+
+async function initDeadLetterStore(persistentDir) {
+    deadLetterDir = path.join(persistentDir, 'dead-letters');
+    await fs.mkdir(deadLetterDir, { recursive: true });
+
+    for (const id of await fs.readdir(deadLetterDir)) {
+        try {
+            const entry = JSON.parse(await fs.readFile(path.join(deadLetterDir, id, 'entry.json'), 'utf8'));
+            entries.set(entry.id, entry);
+        } catch (err) {
+            console.error(`   Skipping unreadable dead letter ${id}: ${err.message}`);
+        }
+    }
+
+    console.log(`✓ Loaded ${entries.size} dead letter(s) from ${deadLetterDir}`);
+}
+
+async function writeEntry(entry) {
+    const entryPath = path.join(deadLetterDir, entry.id, 'entry.json');
+    const tmpPath = `${entryPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry, null, 2));
+    await fs.rename(tmpPath, entryPath);
+}
+
+// Store a failed delivery: the file, where it was going and why it failed
+async function addDeadLetter({ job, fileBuffer, fileName, contentType, fileHash, reportType, route, destinations, data, error }) {
+    const id = crypto.randomUUID();
+    const dir = path.join(deadLetterDir, id);
+    await fs.mkdir(dir, { recursive: true });
+
+    // Stored under a fixed name so no file name can clash with entry.json or leave the
+    // directory; the original name stays in the entry and is used on replay
+    const extension = path.extname(path.basename(fileName || '')).toLowerCase();
+    const storedName = `file${/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : ''}`;
+    await fs.writeFile(path.join(dir, storedName), fileBuffer);
+
+    const entry = {
+        id,
+        jobId: job.id,
+        messageId: job.messageId,
+        conversationId: job.conversationId,
+        fileName,
+        storedName,
+        fileHash,
+        fileSize: fileBuffer.length,
+        contentType,
+        reportType,
+        route: route.rule,
+        fields: route.fields,
+        destinations,
+        data: data || null,
+        lastError: error,
+        replays: [],
+        createdAt: new Date().toISOString()
+    };
+
+    await writeEntry(entry);
+    entries.set(id, entry);
+    console.log(`🪦 Stored failed delivery as dead letter ${id}`);
+    return entry;
+}
+
+function getDeadLetter(id) {
+    return entries.get(id) || null;
+}
+
+function listDeadLetters() {
+    return Array.from(entries.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+async function readDeadLetterFile(entry) {
+    return fs.readFile(path.join(deadLetterDir, entry.id, entry.storedName));
+}
+
+async function updateDeadLetter(id, fields) {
+    const entry = entries.get(id);
+    if (!entry) {
+        throw new Error(`Dead letter not found: ${id}`);
+    }
+    Object.assign(entry, fields);
+    await writeEntry(entry);
+    return entry;
+}
+
+async function removeDeadLetter(id) {
+    const entry = entries.get(id);
+    if (!entry) {
+        return false;
+    }
+    await fs.rm(path.join(deadLetterDir, id), { recursive: true, force: true });
+    entries.delete(id);
+    return true;
+}
+
+module.exports = {
+    initDeadLetterStore,
+    addDeadLetter,
+    getDeadLetter,
+    listDeadLetters,
+    readDeadLetterFile,
+    updateDeadLetter,
+    removeDeadLetter
+};
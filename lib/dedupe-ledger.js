@@ -0,0 +1,99 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Processed reports, indexed both by Missive message ID and by file content hash
+const ledger = {
+    messages: {},
+    files: {}
+};
+
+let ledgerPath = null;
+let writeChain = Promise.resolve();
+
+// Load the ledger from <persistentDir>/dedupe-ledger.json
+async function initDedupeLedger(persistentDir) {
+    ledgerPath = path.join(persistentDir, 'dedupe-ledger.json');
+
+    try {
+        const stored = JSON.parse(await fs.readFile(ledgerPath, 'utf8'));
+        ledger.messages = stored.messages || {};
+        ledger.files = stored.files || {};
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`⚠️  Could not read dedupe ledger, starting empty: ${err.message}`);
+        }
+    }
+
+    console.log(`✓ Dedupe ledger loaded (${Object.keys(ledger.messages).length} message(s), ${Object.keys(ledger.files).length} file hash(es))`);
+}
+
+// Write the ledger atomically, one write at a time
+function persistLedger() {
+    const snapshot = JSON.stringify(ledger, null, 2);
+    writeChain = writeChain.then(async () => {
+        const tmpPath = `${ledgerPath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, ledgerPath);
+    }).catch(err => {
+        console.error(`❌ Failed to persist dedupe ledger: ${err.message}`);
+    });
+    return writeChain;
+}
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function findByMessageId(messageId) {
+    return ledger.messages[messageId] || null;
+}
+
+function findByFileHash(fileHash) {
+    return ledger.files[fileHash] || null;
+}
+
+// Delivered files, oldest first, optionally only those recorded at or after a time
+function listFiles({ since } = {}) {
+    return Object.values(ledger.files)
+        .filter(file => !since || file.processedAt >= since)
+        .sort((a, b) => a.processedAt.localeCompare(b.processedAt));
+}
+
+// Record a delivered file under its content hash
+async function recordFile({ messageId, fileHash, jobId, fileName, reportType }) {
+    ledger.files[fileHash] = {
+        jobId,
+        messageId,
+        fileHash,
+        fileName,
+        reportType,
+        processedAt: new Date().toISOString()
+    };
+
+    await persistLedger();
+    return ledger.files[fileHash];
+}
+
+// Record a message once every report in it has been delivered
+async function recordMessage({ messageId, jobId, files }) {
+    ledger.messages[messageId] = {
+        jobId,
+        messageId,
+        files: files.map(({ fileHash, fileName, reportType }) => ({ fileHash, fileName, reportType })),
+        processedAt: new Date().toISOString()
+    };
+
+    await persistLedger();
+    return ledger.messages[messageId];
+}
+
+module.exports = {
+    initDedupeLedger,
+    hashBuffer,
+    findByMessageId,
+    findByFileHash,
+    listFiles,
+    recordFile,
+    recordMessage
+};
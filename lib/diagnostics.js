@@ -0,0 +1,332 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Optional evidence of what the browser saw when a download attempt failed: a Playwright
+// trace of the attempt, a screenshot, the final page HTML and URL, and the network log.
+// Layout: <persistentDir>/diagnostics/<jobId>/<captureId>/capture.json + the captured files.
+// Each file is capped at maxFileBytes, the whole store at maxTotalBytes (oldest captures go
+// first), and captures older than retentionDays are pruned (0 keeps them until the size limit).
+
+const FILES = {
+    trace: 'trace.zip',
+    screenshot: 'screenshot.png',
+    html: 'page.html',
+    network: 'network.json'
+};
+
+// Network log entries kept per attempt
+const MAX_NETWORK_ENTRIES = 300;
+
+const config = {
+    enabled: false,
+    trace: true,
+    maxFileBytes: 5 * 1024 * 1024,
+    maxTotalBytes: 200 * 1024 * 1024,
+    retentionDays: 14,
+    pruneIntervalMs: 60 * 60 * 1000
+};
+
+// captures[captureId] = capture.json contents
+const captures = new Map();
+
+let diagnosticsDir = null;
+let timer = null;
+
+function configureDiagnostics({ enabled, trace, maxFileBytes, maxTotalBytes, retentionDays, pruneIntervalMs }) {
+    config.enabled = !!enabled;
+    config.trace = trace !== false;
+    if (maxFileBytes > 0) config.maxFileBytes = Math.floor(maxFileBytes);
+    if (maxTotalBytes > 0) config.maxTotalBytes = Math.floor(maxTotalBytes);
+    if (retentionDays !== undefined && !isNaN(retentionDays)) config.retentionDays = retentionDays;
+    if (pruneIntervalMs > 0) config.pruneIntervalMs = pruneIntervalMs;
+}
+
+function isEnabled() {
+    return config.enabled;
+}
+
+async function initDiagnostics(persistentDir) {
+    if (!config.enabled) {
+        console.log('✓ Failure diagnostics: off');
+        return;
+    }
+
+    diagnosticsDir = path.join(persistentDir, 'diagnostics');
+    await fs.mkdir(diagnosticsDir, { recursive: true });
+
+    for (const jobId of await fs.readdir(diagnosticsDir)) {
+        for (const captureId of await fs.readdir(path.join(diagnosticsDir, jobId)).catch(() => [])) {
+            try {
+                const capture = JSON.parse(await fs.readFile(path.join(diagnosticsDir, jobId, captureId, 'capture.json'), 'utf8'));
+                captures.set(capture.id, capture);
+            } catch (err) {
+                console.error(`   Skipping unreadable diagnostics capture ${jobId}/${captureId}: ${err.message}`);
+            }
+        }
+    }
+
+    await pruneDiagnostics();
+    if (config.retentionDays > 0) {
+        timer = setInterval(() => {
+            pruneDiagnostics().catch(err => console.error(`❌ Diagnostics pruning failed: ${err.message}`));
+        }, config.pruneIntervalMs);
+        timer.unref();
+    }
+    console.log(`✓ Failure diagnostics: ${captures.size} capture(s) in ${diagnosticsDir}, kept ${config.retentionDays > 0 ? `${config.retentionDays} days` : 'until the size limit'}`);
+}
+
+function stopDiagnostics() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// Write a file unless it is over the per-file limit; text (HTML) is cut to the limit instead
+async function writeLimited(dir, name, content, { truncate = false } = {}) {
+    let data = Buffer.isBuffer(content) ? content : Buffer.from(content);
+    let truncated = false;
+    if (data.length > config.maxFileBytes) {
+        if (!truncate) {
+            return { name, skipped: `over the ${config.maxFileBytes} byte limit (${data.length} bytes)` };
+        }
+        data = data.subarray(0, config.maxFileBytes);
+        truncated = true;
+    }
+    await fs.writeFile(path.join(dir, name), data);
+    return { name, size: data.length, truncated };
+}
+
+// Record what a browser context does while a report is downloaded. Call beginAttempt() before
+// each attempt and captureFailure() when one fails; discardAttempt() drops the attempt's trace
+// unsaved (before a portal login, so the password never lands in a trace); finish() when the
+// context is done. Nothing here throws: a diagnostics problem must never change the outcome.
+function createRecorder(context, page, { jobId, file }) {
+    if (!config.enabled || !jobId) {
+        return null;
+    }
+
+    let network = [];
+    let tracing = false;
+    let chunkOpen = false;
+
+    const logRequest = request => {
+        network.push({ at: new Date().toISOString(), method: request.method(), url: request.url(), resourceType: request.resourceType() });
+        network = network.slice(-MAX_NETWORK_ENTRIES);
+    };
+    const logResponse = response => {
+        network.push({ at: new Date().toISOString(), status: response.status(), url: response.url(), contentType: response.headers()['content-type'] || null });
+        network = network.slice(-MAX_NETWORK_ENTRIES);
+    };
+    const logFailure = request => {
+        network.push({ at: new Date().toISOString(), failed: true, method: request.method(), url: request.url(), error: request.failure()?.errorText || null });
+        network = network.slice(-MAX_NETWORK_ENTRIES);
+    };
+    page.on('request', logRequest);
+    page.on('response', logResponse);
+    page.on('requestfailed', logFailure);
+
+    async function beginAttempt() {
+        network = [];
+        if (!config.trace) return;
+        try {
+            if (!tracing) {
+                await context.tracing.start({ screenshots: true, snapshots: true });
+                tracing = true;
+            }
+            // Drop the previous attempt's chunk; only failed attempts keep their trace
+            if (chunkOpen) {
+                await context.tracing.stopChunk();
+            }
+            await context.tracing.startChunk();
+            chunkOpen = true;
+        } catch (error) {
+            console.warn(`⚠️  Could not start the diagnostics trace: ${error.message}`);
+        }
+    }
+
+    async function discardAttempt() {
+        network = [];
+        if (!chunkOpen) return;
+        chunkOpen = false;
+        try {
+            await context.tracing.stopChunk();
+        } catch (error) {
+            console.warn(`⚠️  Could not discard the diagnostics trace: ${error.message}`);
+        }
+    }
+
+    async function captureFailure({ attempt, error }) {
+        const id = crypto.randomUUID();
+        const dir = path.join(diagnosticsDir, jobId, id);
+        const files = [];
+        const problems = [];
+        let url = null;
+
+        try {
+            await fs.mkdir(dir, { recursive: true });
+
+            if (chunkOpen) {
+                chunkOpen = false;
+                const tracePath = path.join(dir, FILES.trace);
+                try {
+                    await context.tracing.stopChunk({ path: tracePath });
+                    const { size } = await fs.stat(tracePath);
+                    if (size > config.maxFileBytes) {
+                        await fs.rm(tracePath, { force: true });
+                        files.push({ name: FILES.trace, skipped: `over the ${config.maxFileBytes} byte limit (${size} bytes)` });
+                    } else {
+                        files.push({ name: FILES.trace, size, truncated: false });
+                    }
+                } catch (traceError) {
+                    problems.push(`trace: ${traceError.message}`);
+                }
+            }
+
+            if (!page.isClosed()) {
+                url = page.url();
+                try {
+                    files.push(await writeLimited(dir, FILES.screenshot, await page.screenshot({ fullPage: true, timeout: 10000 })));
+                } catch (screenshotError) {
+                    problems.push(`screenshot: ${screenshotError.message}`);
+                }
+                try {
+                    files.push(await writeLimited(dir, FILES.html, await page.content(), { truncate: true }));
+                } catch (htmlError) {
+                    problems.push(`html: ${htmlError.message}`);
+                }
+            } else {
+                problems.push('page was closed; no screenshot or HTML');
+            }
+
+            files.push(await writeLimited(dir, FILES.network, JSON.stringify(network, null, 2), { truncate: true }));
+
+            const capture = {
+                id,
+                jobId,
+                file,
+                attempt,
+                error: error.message,
+                url,
+                files: files.filter(entry => !entry.skipped),
+                skipped: files.filter(entry => entry.skipped),
+                problems,
+                size: files.reduce((sum, entry) => sum + (entry.size || 0), 0),
+                capturedAt: new Date().toISOString()
+            };
+            await fs.writeFile(path.join(dir, 'capture.json'), JSON.stringify(capture, null, 2));
+            captures.set(id, capture);
+            console.log(`🔬 Saved diagnostics for attempt ${attempt} (${capture.files.map(entry => entry.name).join(', ')})`);
+
+            await enforceSizeLimit();
+            return capture;
+        } catch (captureError) {
+            console.error(`⚠️  Could not save diagnostics for attempt ${attempt}: ${captureError.message}`);
+            await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+            return null;
+        }
+    }
+
+    async function finish() {
+        page.off('request', logRequest);
+        page.off('response', logResponse);
+        page.off('requestfailed', logFailure);
+        if (tracing) {
+            await context.tracing.stop().catch(() => {});
+        }
+    }
+
+    return { beginAttempt, discardAttempt, captureFailure, finish };
+}
+
+function listCaptures(jobId) {
+    return Array.from(captures.values())
+        .filter(capture => capture.jobId === jobId)
+        .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+}
+
+function getCapture(jobId, captureId) {
+    const capture = captures.get(captureId);
+    return capture && capture.jobId === jobId ? capture : null;
+}
+
+// Path of a captured file, or null when the capture does not have it
+function getCaptureFilePath(capture, name) {
+    if (!capture.files.some(entry => entry.name === name)) {
+        return null;
+    }
+    return path.join(diagnosticsDir, capture.jobId, capture.id, name);
+}
+
+async function removeCapture(capture) {
+    await fs.rm(path.join(diagnosticsDir, capture.jobId, capture.id), { recursive: true, force: true });
+    captures.delete(capture.id);
+    // Drop the job's directory once its last capture is gone
+    await fs.rmdir(path.join(diagnosticsDir, capture.jobId)).catch(() => {});
+}
+
+// Oldest captures go first once the store is over maxTotalBytes
+async function enforceSizeLimit() {
+    const oldestFirst = Array.from(captures.values()).sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+    let total = oldestFirst.reduce((sum, capture) => sum + capture.size, 0);
+    let removed = 0;
+    while (total > config.maxTotalBytes && oldestFirst.length > 1) {
+        const capture = oldestFirst.shift();
+        await removeCapture(capture);
+        total -= capture.size;
+        removed++;
+    }
+    if (removed > 0) {
+        console.log(`🧹 Removed ${removed} oldest diagnostics capture(s) to stay under ${config.maxTotalBytes} bytes`);
+    }
+}
+
+async function pruneDiagnostics() {
+    if (!config.enabled || !(config.retentionDays > 0)) {
+        return 0;
+    }
+    const cutoff = Date.now() - config.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const capture of Array.from(captures.values())) {
+        if (new Date(capture.capturedAt).getTime() >= cutoff) continue;
+        try {
+            await removeCapture(capture);
+            removed++;
+        } catch (err) {
+            console.error(`   Error deleting diagnostics capture ${capture.id}: ${err.message}`);
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`🧹 Pruned ${removed} diagnostics capture(s) older than ${config.retentionDays} days`);
+    }
+    return removed;
+}
+
+function getDiagnosticsStats() {
+    const all = Array.from(captures.values());
+    return {
+        enabled: config.enabled,
+        trace: config.trace,
+        retentionDays: config.retentionDays,
+        captures: all.length,
+        bytes: all.reduce((sum, capture) => sum + capture.size, 0),
+        maxTotalBytes: config.maxTotalBytes
+    };
+}
+
+module.exports = {
+    FILES,
+    configureDiagnostics,
+    isEnabled,
+    initDiagnostics,
+    stopDiagnostics,
+    createRecorder,
+    listCaptures,
+    getCapture,
+    getCaptureFilePath,
+    pruneDiagnostics,
+    getDiagnosticsStats
+};
@@ -0,0 +1,110 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { simpleParser } = require('mailparser');
+const { PermanentError } = require('./retry-policy');
+
+// Source adapter for emails handed to POST /ingest/eml, either as a raw RFC 822/MIME
+// message or as JSON ({ html or text, subject, from }). Raw messages are kept in
+// <persistentDir>/inbox/<jobId>.eml so the job can be resumed after a restart.
+
+let inboxDir = null;
+
+async function initEmailSource(persistentDir) {
+    inboxDir = path.join(persistentDir, 'inbox');
+    await fs.mkdir(inboxDir, { recursive: true });
+}
+
+function rawEmailPath(jobId) {
+    return path.join(inboxDir, `${jobId}.eml`);
+}
+
+async function saveRawEmail(jobId, raw) {
+    const filePath = rawEmailPath(jobId);
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, raw);
+    await fs.rename(tmpPath, filePath);
+}
+
+// Emails without a Message-ID get a stable ID from their content, so resending dedupes
+function contentMessageId(content) {
+    return `email-${crypto.createHash('sha256').update(content).digest('hex').slice(0, 32)}`;
+}
+
+function stripAngleBrackets(value) {
+    return value ? String(value).trim().replace(/^<|>$/g, '') : null;
+}
+
+// Parse a raw MIME message into the normalized message shape
+async function parseRawEmail(raw) {
+    let parsed;
+    try {
+        parsed = await simpleParser(raw);
+    } catch (err) {
+        throw new PermanentError(`Could not parse email: ${err.message}`);
+    }
+
+    return {
+        messageId: stripAngleBrackets(parsed.messageId) || contentMessageId(raw),
+        conversationId: null,
+        subject: parsed.subject || '',
+        from: parsed.from?.value?.[0]?.address || '',
+        body: parsed.html || parsed.textAsHtml || parsed.text || '',
+        attachments: (parsed.attachments || []).map(attachment => {
+            const name = path.basename(attachment.filename || `attachment-${attachment.checksum || Date.now()}`);
+            return {
+                name,
+                extension: path.extname(name).replace('.', '').toLowerCase(),
+                mediaType: attachment.contentType || null,
+                size: attachment.size || attachment.content.length,
+                content: attachment.content
+            };
+        })
+    };
+}
+
+// Normalize a JSON submission: { html or text, subject, from, messageId }
+function parseJsonEmail(body) {
+    const content = body.html || body.text || '';
+    return {
+        messageId: body.messageId || contentMessageId(`${body.subject || ''}\n${content}`),
+        conversationId: null,
+        subject: body.subject || '',
+        from: body.from || '',
+        body: content,
+        attachments: []
+    };
+}
+
+async function loadMessage(job) {
+    if (job.request?.format === 'eml') {
+        let raw;
+        try {
+            raw = await fs.readFile(rawEmailPath(job.id));
+        } catch (err) {
+            throw new PermanentError(`Stored email for job ${job.id} is missing: ${err.message}`);
+        }
+        console.log(`📧 Parsing stored email (${(raw.length / 1024).toFixed(2)} KB)`);
+        return parseRawEmail(raw);
+    }
+
+    console.log('📧 Using email content from the request');
+    return parseJsonEmail(job.request || {});
+}
+
+// The stored email is only needed until the job finishes
+async function cleanup(job) {
+    if (job.request?.format === 'eml') {
+        await fs.rm(rawEmailPath(job.id), { force: true });
+    }
+}
+
+module.exports = {
+    name: 'email',
+    initEmailSource,
+    saveRawEmail,
+    parseRawEmail,
+    parseJsonEmail,
+    loadMessage,
+    cleanup
+};
@@ -0,0 +1,172 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const contentDetection = require('./content-detection');
+const retryPolicy = require('./retry-policy');
+
+// Plain HTTP download of report links, tried before driving a browser.
+// Redirects are followed by hand so cookies set along the way are sent on the next hop.
+
+const MAX_REDIRECTS = 10;
+const USER_AGENT = 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const DIRECT_RETRY_POLICY = retryPolicy.policyFromEnv('direct download', 'DIRECT_DOWNLOAD', { maxRetries: 1 });
+
+// The response needs a real browser (an HTML page, a JavaScript redirect, a login form)
+class NeedsBrowserError extends Error {
+    constructor(message, cookies) {
+        super(message);
+        this.name = 'NeedsBrowserError';
+        this.retryable = false;
+        this.cookies = cookies;
+    }
+}
+
+// Minimal cookie jar: name/value per domain, enough to carry session cookies across redirects
+function createCookieJar(initialCookies = []) {
+    const cookies = new Map();
+    for (const cookie of initialCookies) {
+        cookies.set(`${cookie.domain}|${cookie.name}`, cookie);
+    }
+
+    return {
+        store(setCookieHeaders, url) {
+            const domain = new URL(url).hostname;
+            for (const header of [].concat(setCookieHeaders || [])) {
+                const [pair, ...attributes] = header.split(';');
+                const separator = pair.indexOf('=');
+                if (separator === -1) continue;
+
+                const name = pair.slice(0, separator).trim();
+                const value = pair.slice(separator + 1).trim();
+                const domainAttribute = attributes.map(a => a.trim()).find(a => /^domain=/i.test(a));
+                const cookieDomain = domainAttribute ? domainAttribute.slice(7).replace(/^\./, '') : domain;
+                cookies.set(`${cookieDomain}|${name}`, { name, value, domain: cookieDomain, path: '/' });
+            }
+        },
+        headerFor(url) {
+            const host = new URL(url).hostname;
+            return Array.from(cookies.values())
+                .filter(cookie => host === cookie.domain || host.endsWith(`.${cookie.domain}`))
+                .map(cookie => `${cookie.name}=${cookie.value}`)
+                .join('; ');
+        },
+        toPlaywright() {
+            return Array.from(cookies.values());
+        }
+    };
+}
+
+// filename*=UTF-8''name.pdf takes precedence over filename="name.pdf"
+function parseContentDisposition(header) {
+    if (!header) return null;
+
+    const extended = /filename\*\s*=\s*([^']*)'[^']*'([^;]+)/i.exec(header);
+    if (extended) {
+        try {
+            return decodeURIComponent(extended[2].trim().replace(/^"|"$/g, ''));
+        } catch {
+            // Fall through to the plain filename parameter
+        }
+    }
+
+    const plain = /filename\s*=\s*("([^"]*)"|[^;]+)/i.exec(header);
+    if (plain) {
+        return (plain[2] !== undefined ? plain[2] : plain[1]).trim();
+    }
+    return null;
+}
+
+function fileNameFromUrl(url) {
+    const segment = decodeURIComponent(new URL(url).pathname.split('/').pop() || '');
+    return /\.[a-z0-9]{2,4}$/i.test(segment) ? segment : null;
+}
+
+// Follow redirects manually, collecting cookies, and return the final response
+async function fetchFollowingRedirects(url, jar) {
+    let currentUrl = url;
+
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+        const cookieHeader = jar.headerFor(currentUrl);
+        const response = await axios.get(currentUrl, {
+            responseType: 'arraybuffer',
+            maxRedirects: 0,
+            validateStatus: status => status < 400,
+            timeout: 30000,
+            headers: {
+                'User-Agent': USER_AGENT,
+                'Accept': 'application/pdf,text/csv,application/octet-stream,*/*',
+                ...(cookieHeader ? { 'Cookie': cookieHeader } : {})
+            }
+        });
+
+        jar.store(response.headers['set-cookie'], currentUrl);
+
+        if (response.status >= 300 && response.status < 400 && response.headers.location) {
+            currentUrl = new URL(response.headers.location, currentUrl).toString();
+            console.log(`   ↪ Redirected to ${currentUrl}`);
+            continue;
+        }
+
+        return { response, finalUrl: currentUrl };
+    }
+
+    throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+}
+
+// Download a report over plain HTTP, starting with the given cookies (e.g. a portal session).
+// fileName overrides the name from the response. Throws NeedsBrowserError when a browser is required.
+async function downloadDirect(url, tempDir, { onAttempt, cookies = [], fileName: knownFileName } = {}) {
+    const jar = createCookieJar(cookies);
+
+    try {
+        const { result, retries } = await retryPolicy.withRetry(DIRECT_RETRY_POLICY, async (attempt) => {
+            console.log(`⚡ Direct download attempt ${attempt}/${DIRECT_RETRY_POLICY.maxRetries + 1}`);
+            console.log(`   URL: ${url}`);
+
+            const { response, finalUrl } = await fetchFollowingRedirects(url, jar);
+            const buffer = Buffer.from(response.data);
+            const contentType = String(response.headers['content-type'] || '').toLowerCase();
+
+            if (buffer.length === 0) {
+                throw new Error('Downloaded file is empty');
+            }
+
+            const fileName = path.basename(
+                knownFileName ||
+                parseContentDisposition(response.headers['content-disposition']) ||
+                fileNameFromUrl(finalUrl) ||
+                'download'
+            );
+
+            // An HTML answer is a page for a browser, not a report
+            const detected = contentDetection.detectFileType(buffer, fileName);
+            if (contentType.includes('text/html') || detected.type === 'html') {
+                throw new NeedsBrowserError(`Server returned an HTML page (${contentType || 'no content type'})`, jar.toPlaywright());
+            }
+
+            const fileInfo = contentDetection.validateReport(buffer, fileName);
+            const targetPath = path.join(tempDir, fileName);
+            await fs.writeFile(targetPath, buffer);
+
+            console.log(`✓ Downloaded file directly: ${fileName}`);
+            console.log(`   Saved to: ${targetPath}`);
+            console.log(`   File size: ${(buffer.length / 1024).toFixed(2)} KB`);
+
+            return { downloadPath: targetPath, fileName, fileInfo, finalUrl };
+        }, { onAttempt });
+
+        return { ...result, retries };
+    } catch (error) {
+        // Hand any session cookies to the browser fallback
+        error.cookies = error.cookies || jar.toPlaywright();
+        throw error;
+    }
+}
+
+module.exports = {
+    DIRECT_RETRY_POLICY,
+    NeedsBrowserError,
+    parseContentDisposition,
+    downloadDirect
+};
@@ -0,0 +1,216 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Job lifecycle states, in the order a healthy job moves through them
+const JOB_STATES = ['queued', 'fetching', 'downloading', 'delivering', 'succeeded', 'failed'];
+const TERMINAL_STATES = ['succeeded', 'failed'];
+
+// In-memory index of every job on disk, keyed by job ID
+const jobs = new Map();
+
+// Per-job write chains so concurrent updates never interleave on disk
+const writeChains = new Map();
+
+// Attempt records kept per job, newest last
+const MAX_ATTEMPT_RECORDS = 100;
+
+let jobsDir = null;
+
+// Load persisted jobs from <persistentDir>/jobs
+async function initJobStore(persistentDir) {
+    jobsDir = path.join(persistentDir, 'jobs');
+    await fs.mkdir(jobsDir, { recursive: true });
+
+    const files = await fs.readdir(jobsDir);
+    for (const file of files) {
+        if (!file.endsWith('.json')) continue;
+        try {
+            const job = JSON.parse(await fs.readFile(path.join(jobsDir, file), 'utf8'));
+            jobs.set(job.id, job);
+        } catch (err) {
+            console.error(`   Skipping unreadable job file ${file}: ${err.message}`);
+        }
+    }
+
+    console.log(`✓ Loaded ${jobs.size} job(s) from ${jobsDir}`);
+    return jobs.size;
+}
+
+// Write a job to disk atomically (temp file + rename). A failed write rejects for the caller
+// but does not stop later writes of the same job.
+function persistJob(job) {
+    const snapshot = JSON.stringify(job, null, 2);
+    const filePath = path.join(jobsDir, `${job.id}.json`);
+    const previous = writeChains.get(job.id) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, filePath);
+    });
+    next.catch(err => {
+        console.error(`❌ Failed to persist job ${job.id}: ${err.message}`);
+    });
+
+    writeChains.set(job.id, next);
+    const release = () => {
+        if (writeChains.get(job.id) === next) {
+            writeChains.delete(job.id);
+        }
+    };
+    next.then(release, release);
+    return next;
+}
+
+// Create and persist a new queued job
+async function createJob({ messageId, conversationId, request, force = false, source = 'missive' }) {
+    const now = new Date().toISOString();
+    const job = {
+        id: crypto.randomUUID(),
+        state: 'queued',
+        source,
+        messageId,
+        conversationId: conversationId || null,
+        request,
+        force,
+        attempts: 0,
+        result: null,
+        error: null,
+        history: [{ state: 'queued', at: now }],
+        createdAt: now,
+        updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    try {
+        await persistJob(job);
+    } catch (err) {
+        // A job that never reached disk would not survive a restart; don't keep it at all
+        jobs.delete(job.id);
+        throw err;
+    }
+    return job;
+}
+
+// Move a job to a new state, merging any extra fields
+async function setJobState(id, state, fields = {}) {
+    if (!JOB_STATES.includes(state)) {
+        throw new Error(`Unknown job state: ${state}`);
+    }
+
+    const job = jobs.get(id);
+    if (!job) {
+        throw new Error(`Job not found: ${id}`);
+    }
+
+    const now = new Date().toISOString();
+    Object.assign(job, fields, { state, updatedAt: now });
+    job.history.push({ state, at: now });
+
+    await persistJob(job);
+    return job;
+}
+
+// Merge fields into a job without changing its state
+async function updateJob(id, fields) {
+    const job = jobs.get(id);
+    if (!job) {
+        throw new Error(`Job not found: ${id}`);
+    }
+
+    Object.assign(job, fields, { updatedAt: new Date().toISOString() });
+    await persistJob(job);
+    return job;
+}
+
+// Append an attempt record (download, Missive fetch or webhook delivery) to a job
+async function recordAttempt(id, attempt) {
+    const job = jobs.get(id);
+    if (!job) {
+        return null;
+    }
+
+    job.attemptLog = [...(job.attemptLog || []), attempt].slice(-MAX_ATTEMPT_RECORDS);
+    job.updatedAt = new Date().toISOString();
+    await persistJob(job);
+    return job;
+}
+
+// Append a failure diagnostics capture (see diagnostics.js) to a job
+async function recordDiagnostics(id, capture) {
+    const job = jobs.get(id);
+    if (!job) {
+        return null;
+    }
+
+    job.diagnostics = [...(job.diagnostics || []), capture];
+    job.updatedAt = new Date().toISOString();
+    await persistJob(job);
+    return job;
+}
+
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+// List jobs newest first, optionally filtered by state or message ID
+function listJobs({ state, messageId, limit = 50 } = {}) {
+    let result = Array.from(jobs.values());
+
+    if (state) {
+        result = result.filter(job => job.state === state);
+    }
+    if (messageId) {
+        result = result.filter(job => job.messageId === messageId);
+    }
+
+    result.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return result.slice(0, limit);
+}
+
+// Jobs that were not finished when the process last stopped
+function listUnfinishedJobs() {
+    return Array.from(jobs.values())
+        .filter(job => !TERMINAL_STATES.includes(job.state))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Remove finished jobs older than the retention window
+async function pruneJobs(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const job of Array.from(jobs.values())) {
+        if (!TERMINAL_STATES.includes(job.state)) continue;
+        if (new Date(job.updatedAt).getTime() >= cutoff) continue;
+
+        try {
+            await fs.unlink(path.join(jobsDir, `${job.id}.json`));
+            jobs.delete(job.id);
+            removed++;
+        } catch (err) {
+            console.error(`   Error deleting job ${job.id}: ${err.message}`);
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`🧹 Pruned ${removed} finished job(s) older than ${retentionDays} days`);
+    }
+    return removed;
+}
+
+module.exports = {
+    JOB_STATES,
+    TERMINAL_STATES,
+    initJobStore,
+    createJob,
+    setJobState,
+    updateJob,
+    recordAttempt,
+    recordDiagnostics,
+    getJob,
+    listJobs,
+    listUnfinishedJobs,
+    pruneJobs
+};
@@ -0,0 +1,138 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Leveled logging with per-job correlation. Work started inside runWithContext() tags every
+// line it logs, including plain console.* calls once installConsole() has run, with the job
+// ID, messageId and conversationId. Output is one JSON object per line, or the original
+// human-readable lines with a job prefix when LOG_FORMAT=text. Secrets are redacted either way.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_FORMATS = ['json', 'text'];
+
+// Field names whose values are never logged
+const SECRET_FIELD_PATTERN = /password|passwd|secret|token|authorization|api_?key|access_?key|private_?key|cookie/i;
+
+// Environment variables whose values are treated as secrets wherever they show up
+const SECRET_ENV_PATTERN = /KEY|SECRET|PASSWORD|TOKEN/i;
+
+const config = {
+    level: 'info',
+    format: 'json',
+    secrets: []
+};
+
+const contextStorage = new AsyncLocalStorage();
+
+// The real console methods, kept so installConsole() can write through them
+const originalConsole = {
+    log: console.log.bind(console),
+    warn: console.warn.bind(console),
+    error: console.error.bind(console)
+};
+
+function configureLogger({ level = 'info', format = 'json', env = process.env } = {}) {
+    if (!LOG_LEVELS[level]) {
+        throw new Error(`Invalid LOG_LEVEL "${level}" (expected ${Object.keys(LOG_LEVELS).join(', ')})`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+        throw new Error(`Invalid LOG_FORMAT "${format}" (expected ${LOG_FORMATS.join(', ')})`);
+    }
+    config.level = level;
+    config.format = format;
+    // Longest first so a secret containing another is replaced whole
+    config.secrets = Object.entries(env)
+        .filter(([name, value]) => SECRET_ENV_PATTERN.test(name) && value && value.length >= 6)
+        .map(([, value]) => value)
+        .sort((a, b) => b.length - a.length);
+}
+
+function redact(text) {
+    let result = String(text);
+    for (const secret of config.secrets) {
+        result = result.split(secret).join('[REDACTED]');
+    }
+    return result
+        .replace(/(Bearer\s+)[^\s"',]+/gi, '$1[REDACTED]')
+        .replace(/(\/\/[^/:@\s]+:)[^@\s/]+@/g, '$1[REDACTED]@')
+        .replace(/([?&](?:token|access_token|api_?key|password|secret|signature|X-Amz-Signature|X-Amz-Credential)=)[^&\s"'<>]+/gi, '$1[REDACTED]');
+}
+
+function redactFields(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redact(value);
+    }
+    if (!value || typeof value !== 'object' || depth > 5) {
+        return value;
+    }
+    if (value instanceof Error) {
+        return { name: value.name, message: redact(value.message), stack: redact(value.stack || '') };
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redactFields(item, depth + 1));
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = SECRET_FIELD_PATTERN.test(key) && item ? '[REDACTED]' : redactFields(item, depth + 1);
+    }
+    return result;
+}
+
+function write(level, message, fields) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[config.level]) {
+        return;
+    }
+    const context = contextStorage.getStore() || {};
+    const output = level === 'error' ? originalConsole.error : level === 'warn' ? originalConsole.warn : originalConsole.log;
+
+    if (config.format === 'text') {
+        const prefix = context.jobId ? `[job ${context.jobId.slice(0, 8)}] ` : '';
+        const extra = fields && Object.keys(fields).length > 0 ? ` ${JSON.stringify(redactFields(fields))}` : '';
+        output(`${prefix}${redact(message)}${extra}`);
+        return;
+    }
+
+    output(JSON.stringify({
+        time: new Date().toISOString(),
+        level,
+        msg: redact(message.trim()),
+        ...redactFields(context),
+        ...redactFields(fields || {})
+    }));
+}
+
+// Route console.log/info/debug/warn/error through the logger, so existing log lines get
+// levels, job context and redaction
+function installConsole() {
+    console.log = (...args) => write('info', util.format(...args));
+    console.info = (...args) => write('info', util.format(...args));
+    console.debug = (...args) => write('debug', util.format(...args));
+    console.warn = (...args) => write('warn', util.format(...args));
+    console.error = (...args) => write('error', util.format(...args));
+}
+
+// Run fn with fields (jobId, messageId, conversationId, ...) attached to everything it logs
+function runWithContext(fields, fn) {
+    return contextStorage.run({ ...(contextStorage.getStore() || {}), ...fields }, fn);
+}
+
+// Add fields to the current context, e.g. a conversationId learned halfway through a job
+function setContext(fields) {
+    const store = contextStorage.getStore();
+    if (store) {
+        Object.assign(store, fields);
+    }
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_FORMATS,
+    configureLogger,
+    installConsole,
+    redact,
+    runWithContext,
+    setContext,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields)
+};
@@ -0,0 +1,145 @@
+const client = require('prom-client');
+
+// Prometheus metrics served on GET /metrics. Modules record into the counters and
+// histograms below; point-in-time values (queue lengths, open jobs) are read on scrape
+// through gauges registered with addGauge().
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2, 5, 10, 30, 60, 120, 300];
+
+const jobsTotal = new client.Counter({
+    name: 'wex_jobs_total',
+    help: 'Finished jobs by message source and outcome',
+    labelNames: ['source', 'outcome'],
+    registers: [registry]
+});
+
+const reportsTotal = new client.Counter({
+    name: 'wex_reports_total',
+    help: 'Report files handled by finished jobs, by report type and outcome (delivered, duplicate, failed)',
+    labelNames: ['report_type', 'outcome'],
+    registers: [registry]
+});
+
+const jobDuration = new client.Histogram({
+    name: 'wex_job_duration_seconds',
+    help: 'Time from job creation to its final state',
+    labelNames: ['outcome'],
+    buckets: [1, 5, 10, 30, 60, 120, 300, 600, 1800],
+    registers: [registry]
+});
+
+const downloadDuration = new client.Histogram({
+    name: 'wex_download_duration_seconds',
+    help: 'Time to download one report file, including retries, by strategy and outcome',
+    labelNames: ['strategy', 'outcome'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const deliveryDuration = new client.Histogram({
+    name: 'wex_delivery_duration_seconds',
+    help: 'Latency of a single delivery attempt to a destination, by sink type and outcome',
+    labelNames: ['type', 'outcome'],
+    buckets: DURATION_BUCKETS,
+    registers: [registry]
+});
+
+const retriesTotal = new client.Counter({
+    name: 'wex_retries_total',
+    help: 'Retries scheduled, by retry policy',
+    labelNames: ['policy'],
+    registers: [registry]
+});
+
+const retryGiveUpsTotal = new client.Counter({
+    name: 'wex_retry_give_ups_total',
+    help: 'Operations that failed after their last attempt, by retry policy',
+    labelNames: ['policy'],
+    registers: [registry]
+});
+
+const missiveApiErrorsTotal = new client.Counter({
+    name: 'wex_missive_api_errors_total',
+    help: 'Failed Missive API calls by operation and HTTP status ("network" when there was no response)',
+    labelNames: ['operation', 'status'],
+    registers: [registry]
+});
+
+const browserRestartsTotal = new client.Counter({
+    name: 'wex_browser_restarts_total',
+    help: 'Browser relaunches, after a crash or a manual restart',
+    labelNames: ['reason'],
+    registers: [registry]
+});
+
+// Outcome of a file as recorded on the job
+function fileOutcome(file) {
+    if (file.alreadyProcessed) return 'duplicate';
+    return file.success ? 'delivered' : 'failed';
+}
+
+// Count a job that reached succeeded or failed, and each of its files
+function recordJob(job) {
+    const outcome = job.state;
+    jobsTotal.inc({ source: job.source || 'missive', outcome });
+    jobDuration.observe({ outcome }, (Date.now() - Date.parse(job.createdAt)) / 1000);
+    for (const file of job.files || []) {
+        reportsTotal.inc({ report_type: file.reportType || 'unknown', outcome: fileOutcome(file) });
+    }
+}
+
+function observeDownload(strategy, outcome, seconds) {
+    downloadDuration.observe({ strategy: strategy || 'unknown', outcome }, seconds);
+}
+
+function observeDelivery(type, outcome, seconds) {
+    deliveryDuration.observe({ type, outcome }, seconds);
+}
+
+function recordRetry(policy) {
+    retriesTotal.inc({ policy });
+}
+
+function recordRetryGiveUp(policy) {
+    retryGiveUpsTotal.inc({ policy });
+}
+
+function recordMissiveError(operation, error) {
+    missiveApiErrorsTotal.inc({ operation, status: String(error.response?.status || 'network') });
+}
+
+function recordBrowserRestart(reason) {
+    browserRestartsTotal.inc({ reason });
+}
+
+// A gauge whose value is read from fn() on every scrape
+function addGauge(name, help, fn) {
+    new client.Gauge({
+        name,
+        help,
+        registers: [registry],
+        collect() {
+            this.set(fn());
+        }
+    });
+}
+
+async function renderMetrics() {
+    return registry.metrics();
+}
+
+module.exports = {
+    contentType: registry.contentType,
+    recordJob,
+    observeDownload,
+    observeDelivery,
+    recordRetry,
+    recordRetryGiveUp,
+    recordMissiveError,
+    recordBrowserRestart,
+    addGauge,
+    renderMetrics
+};
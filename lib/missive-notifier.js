@@ -0,0 +1,181 @@
+const axios = require('axios');
+const retryPolicy = require('./retry-policy');
+const metrics = require('./metrics');
+const { MISSIVE_API_URL } = require('./missive-source');
+
+// Posts each finished job's outcome into its Missive conversation, so the result is visible
+// from the inbox: a markdown post listing every file and destination, or the error, plus a
+// "processed" or "failed" shared label and, optionally, closing the conversation on success.
+
+const config = {
+    enabled: false,
+    apiKey: null,
+    retryPolicy: null,
+    username: 'WexDownloader',
+    processedLabel: null,
+    failedLabel: null,
+    closeOnSuccess: false,
+    organization: null
+};
+
+// Shared label names to { id, organization }, loaded once from the Missive API
+let sharedLabels = null;
+
+function configureMissiveNotifier({ enabled, apiKey, retryPolicy: policy, username, processedLabel, failedLabel, closeOnSuccess, organization }) {
+    config.enabled = enabled && !!apiKey;
+    config.apiKey = apiKey;
+    config.retryPolicy = policy;
+    config.username = username || config.username;
+    config.processedLabel = processedLabel || null;
+    config.failedLabel = failedLabel || null;
+    config.closeOnSuccess = !!closeOnSuccess;
+    config.organization = organization || null;
+    sharedLabels = null;
+}
+
+function isEnabled() {
+    return config.enabled;
+}
+
+function missiveRequest(method, apiPath, data, operation) {
+    const url = `${MISSIVE_API_URL}${apiPath}`;
+    const options = {
+        headers: {
+            'Authorization': `Bearer ${config.apiKey}`,
+            'Content-Type': 'application/json'
+        },
+        timeout: 10000
+    };
+    return retryPolicy.withRetry(config.retryPolicy, () => (method === 'post'
+        ? axios.post(url, data, options)
+        : axios.get(url, options)
+    ).catch(error => {
+        metrics.recordMissiveError(operation, error);
+        throw error;
+    }));
+}
+
+async function loadSharedLabels() {
+    if (!sharedLabels) {
+        const { result: response } = await missiveRequest('get', '/shared_labels?limit=200', null, 'list_shared_labels');
+        sharedLabels = new Map((response.data.shared_labels || []).map(label =>
+            [label.name.toLowerCase(), { id: label.id, organization: label.organization }]));
+    }
+    return sharedLabels;
+}
+
+// A label setting is either a shared label ID or its name
+async function resolveLabel(value) {
+    if (!value) return null;
+    if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)) {
+        return { id: value, organization: config.organization };
+    }
+    const label = (await loadSharedLabels()).get(value.toLowerCase());
+    if (!label) {
+        console.warn(`⚠️  Missive shared label "${value}" not found - skipping it`);
+    }
+    return label || null;
+}
+
+function describeDelivery(delivery) {
+    const target = `${delivery.destination}${delivery.type ? ` (${delivery.type})` : ''}`;
+    if (!delivery.success) {
+        return `${target}: ❌ ${delivery.error}`;
+    }
+    return `${target}: delivered${delivery.status ? ` (HTTP ${delivery.status})` : ''}${delivery.retries ? ` after ${delivery.retries} retr${delivery.retries === 1 ? 'y' : 'ies'}` : ''}`;
+}
+
+function describeFileLines(file) {
+    const name = file.fileName || file.url || `file ${file.index + 1}`;
+    const details = [file.reportType, file.fileSize].filter(Boolean).join(' · ');
+    const lines = [`- **${name}**${details ? ` · ${details}` : ''}`];
+
+    if (file.alreadyProcessed) {
+        lines.push(`  - already delivered by job ${file.original?.jobId || 'unknown'}, skipped`);
+    } else if (file.deliveries) {
+        lines.push(...file.deliveries.map(delivery => `  - ${describeDelivery(delivery)}`));
+    } else if (file.error) {
+        lines.push(`  - ❌ ${file.error}`);
+    }
+    if (file.deadLetterId) {
+        lines.push(`  - kept as dead letter ${file.deadLetterId}`);
+    }
+    return lines;
+}
+
+// Markdown body of the post for a finished job
+function buildPostMarkdown(job) {
+    const succeeded = job.state === 'succeeded';
+    const files = job.files || job.result?.files || [];
+    const lines = [succeeded
+        ? `✅ **Report processed** (${files.length} file${files.length === 1 ? '' : 's'})`
+        : '❌ **Report processing failed**'];
+
+    if (!succeeded && job.error) {
+        lines.push('', job.error);
+    }
+    if (files.length > 0) {
+        lines.push('', ...files.flatMap(describeFileLines));
+    }
+    lines.push('', `Job \`${job.id}\``);
+    return lines.join('\n');
+}
+
+// Post a finished job's outcome to its conversation. Never throws: a failed post is logged
+// and returned as { success: false, error } so it cannot fail the job.
+async function postJobOutcome(job) {
+    if (!config.enabled || !job.conversationId) {
+        return null;
+    }
+
+    const succeeded = job.state === 'succeeded';
+    console.log(`💬 Posting job outcome to Missive conversation ${job.conversationId}...`);
+
+    try {
+        const addLabel = await resolveLabel(succeeded ? config.processedLabel : config.failedLabel);
+        // A replayed job that now succeeded should lose its failed label, and vice versa
+        const removeLabel = await resolveLabel(succeeded ? config.failedLabel : config.processedLabel);
+
+        const post = {
+            conversation: job.conversationId,
+            username: config.username,
+            markdown: buildPostMarkdown(job),
+            notification: {
+                title: succeeded ? 'Report processed' : 'Report processing failed',
+                body: succeeded ? `${(job.files || []).length} file(s) delivered` : (job.error || 'Unknown error')
+            }
+        };
+        if (addLabel) {
+            post.add_shared_labels = [addLabel.id];
+        }
+        if (removeLabel) {
+            post.remove_shared_labels = [removeLabel.id];
+        }
+        const organization = config.organization || addLabel?.organization || removeLabel?.organization;
+        if (organization && (addLabel || removeLabel)) {
+            post.organization = organization;
+        }
+        if (succeeded && config.closeOnSuccess) {
+            post.close = true;
+        }
+
+        await missiveRequest('post', '/posts', { posts: post }, 'create_post');
+        console.log(`✓ Posted outcome to Missive${addLabel ? ' and applied label' : ''}${post.close ? ', conversation closed' : ''}`);
+        return {
+            success: true,
+            at: new Date().toISOString(),
+            label: addLabel ? (succeeded ? config.processedLabel : config.failedLabel) : null,
+            closed: !!post.close
+        };
+    } catch (error) {
+        console.error(`⚠️  Could not post job outcome to Missive: ${error.message}`);
+        return { success: false, at: new Date().toISOString(), error: error.message };
+    }
+}
+
+module.exports = {
+    configureMissiveNotifier,
+    isEnabled,
+    buildPostMarkdown,
+    postJobOutcome
+};
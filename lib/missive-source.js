@@ -0,0 +1,132 @@
+const axios = require('axios');
+const path = require('path');
+const retryPolicy = require('./retry-policy');
+const metrics = require('./metrics');
+
+// Source adapter for Missive webhooks: fetches the message from the Missive API and
+// normalizes it for the pipeline.
+
+const MISSIVE_API_URL = 'https://public.missiveapp.com/v1';
+
+const config = {
+    apiKey: null,
+    retryPolicy: null
+};
+
+function configureMissiveSource({ apiKey, retryPolicy: policy }) {
+    config.apiKey = apiKey;
+    config.retryPolicy = policy;
+}
+
+// Fetch message details from Missive API
+async function fetchMissiveMessage(messageId, { onAttempt } = {}) {
+    if (!config.apiKey) {
+        throw new retryPolicy.PermanentError('MISSIVE_API_KEY is not configured');
+    }
+
+    const url = `${MISSIVE_API_URL}/messages/${messageId}?includeBody=true&includeConversation=true`;
+    console.log(`📡 Fetching message from Missive API...`);
+    console.log(`   URL: ${url}`);
+
+    try {
+        const { result: response } = await retryPolicy.withRetry(config.retryPolicy, () => axios.get(url, {
+            headers: {
+                'Authorization': `Bearer ${config.apiKey}`,
+                'Accept': 'application/json'
+            },
+            timeout: 10000
+        }).catch(error => {
+            metrics.recordMissiveError('fetch_message', error);
+            throw error;
+        }), { onAttempt });
+
+        console.log('✓ Successfully fetched message details from Missive');
+
+        // Log the structure for debugging
+        if (response.data?.messages) {
+            if (typeof response.data.messages === 'object' && !Array.isArray(response.data.messages)) {
+                console.log('   Messages is an object (single message)');
+                if (response.data.messages.body) {
+                    console.log('   Message body found in messages.body');
+                    // Log first 200 chars of body for debugging
+                    const bodyPreview = response.data.messages.body.substring(0, 200);
+                    console.log(`   Body preview: ${bodyPreview}...`);
+                }
+            } else if (Array.isArray(response.data.messages)) {
+                console.log(`   Messages is an array with ${response.data.messages.length} item(s)`);
+            }
+        } else {
+            console.log('   Response structure:', Object.keys(response.data));
+        }
+
+        return response.data;
+    } catch (error) {
+        console.error('❌ Failed to fetch from Missive API:', error.message);
+        if (error.response) {
+            console.error('   Response status:', error.response.status);
+            console.error('   Response data:', JSON.stringify(error.response.data).substring(0, 200));
+        }
+        const fetchError = new Error(`Failed to fetch message from Missive: ${error.message}`);
+        fetchError.retryable = error.retryable;
+        fetchError.status = error.response?.status;
+        throw fetchError;
+    }
+}
+
+// The message object, whether the API returned it as an object or a one-item array
+function getMessage(messageData) {
+    if (Array.isArray(messageData?.messages)) {
+        return messageData.messages[0] || {};
+    }
+    return messageData?.messages || messageData?.message || messageData || {};
+}
+
+// Missive attachments carry a signed download URL
+function normalizeAttachments(message) {
+    return (message.attachments || [])
+        .filter(attachment => attachment.url)
+        .map(attachment => {
+            const name = path.basename(attachment.filename || attachment.name || `attachment-${attachment.id}`);
+            return {
+                name,
+                extension: (attachment.extension || path.extname(name).replace('.', '')).toLowerCase(),
+                mediaType: attachment.media_type && attachment.sub_type
+                    ? `${attachment.media_type}/${attachment.sub_type}`
+                    : (attachment.media_type || null),
+                size: attachment.size || null,
+                url: attachment.url
+            };
+        });
+}
+
+// Fetch the job's message and normalize it; the webhook payload fills in a missing subject or sender
+async function loadMessage(job, { onAttempt } = {}) {
+    const messageData = await fetchMissiveMessage(job.messageId, { onAttempt });
+    const message = getMessage(messageData);
+    const requestData = job.request || {};
+    const webhookMessage = requestData.latest_message || requestData.body?.latest_message ||
+        requestData.message || requestData.body?.message || {};
+
+    // The API returns the conversation at messages.conversation.id
+    const conversationId = message.conversation?.id || job.conversationId || null;
+    if (message.conversation?.id) {
+        console.log(`✓ Conversation ID from API: ${conversationId}`);
+    }
+
+    return {
+        messageId: job.messageId,
+        conversationId,
+        subject: message.subject || webhookMessage.subject || '',
+        from: message.from_field?.address || webhookMessage.from_field?.address || '',
+        body: message.body || messageData.body || '',
+        attachments: normalizeAttachments(message)
+    };
+}
+
+module.exports = {
+    name: 'missive',
+    MISSIVE_API_URL,
+    configureMissiveSource,
+    fetchMissiveMessage,
+    loadMessage
+};
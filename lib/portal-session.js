@@ -0,0 +1,236 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { PermanentError } = require('./retry-policy');
+
+// Logged-in FleetOne/WEX portal session for report links that need one.
+// The Playwright storage state (cookies + local storage) is kept in
+// <persistentDir>/portal-session.json and loaded into every download context.
+
+const DEFAULT_SELECTORS = {
+    username: 'input[name="username"], input[name="userId"], input[type="email"], #username',
+    password: 'input[type="password"]',
+    submit: 'button[type="submit"], input[type="submit"], button:has-text("Log In"), button:has-text("Sign In")'
+};
+
+const LOGIN_TIMEOUT_MS = 30000;
+
+// How often a page is checked for the login form while a download is pending
+const LOGIN_PAGE_POLL_MS = 250;
+
+const session = {
+    loginUrl: null,
+    username: null,
+    password: null,
+    selectors: DEFAULT_SELECTORS,
+    statePath: null,
+    storageState: null,
+    valid: false,
+    lastLoginAt: null,
+    lastLoginError: null,
+    lastLoginPageAt: null,
+    logins: 0,
+    loginInFlight: null
+};
+
+function configurePortalSession({ persistentDir, loginUrl, username, password, selectors = {} }) {
+    session.loginUrl = loginUrl;
+    session.username = username;
+    session.password = password;
+    session.selectors = {
+        username: selectors.username || DEFAULT_SELECTORS.username,
+        password: selectors.password || DEFAULT_SELECTORS.password,
+        submit: selectors.submit || DEFAULT_SELECTORS.submit
+    };
+    session.statePath = path.join(persistentDir, 'portal-session.json');
+}
+
+function isConfigured() {
+    return !!(session.loginUrl && session.username && session.password);
+}
+
+// Load a session saved by a previous run
+async function initPortalSession() {
+    if (!isConfigured()) {
+        console.log('   Portal login not configured (FLEETONE_USERNAME / FLEETONE_PASSWORD)');
+        return;
+    }
+
+    try {
+        session.storageState = JSON.parse(await fs.readFile(session.statePath, 'utf8'));
+        session.lastLoginAt = (await fs.stat(session.statePath)).mtime.toISOString();
+        session.valid = !sessionExpired();
+        console.log(`✓ Loaded portal session from ${session.statePath} (${session.valid ? 'valid' : 'expired'})`);
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`⚠️  Could not read portal session, will log in on demand: ${err.message}`);
+        }
+        session.storageState = null;
+        session.valid = false;
+    }
+}
+
+// Earliest expiry among the stored cookies that have one (session cookies never expire here)
+function sessionExpiresAt() {
+    const expiries = (session.storageState?.cookies || [])
+        .map(cookie => cookie.expires)
+        .filter(expires => typeof expires === 'number' && expires > 0);
+    return expiries.length > 0 ? new Date(Math.min(...expiries) * 1000).toISOString() : null;
+}
+
+function sessionExpired() {
+    const expiresAt = sessionExpiresAt();
+    return !!expiresAt && Date.parse(expiresAt) <= Date.now();
+}
+
+// Storage state to open a download context with, when there is one
+function getStorageState() {
+    return isConfigured() && session.storageState ? session.storageState : undefined;
+}
+
+// Session cookies for the plain HTTP downloader, in the same shape as its cookie jar
+function getCookies() {
+    const state = getStorageState();
+    return state ? state.cookies.map(({ name, value, domain, path: cookiePath }) => ({
+        name,
+        value,
+        domain: domain.replace(/^\./, ''),
+        path: cookiePath || '/'
+    })) : [];
+}
+
+// Watch a page for a visible password field. `promise` resolves true once it shows up, or
+// false after `timeout` or on stop(); call stop() as soon as the wait is no longer needed.
+function waitForLoginPage(page, timeout) {
+    let timer;
+    let poll;
+    let finish;
+    const promise = new Promise(resolve => {
+        finish = found => {
+            clearTimeout(timer);
+            clearInterval(poll);
+            resolve(found);
+        };
+        timer = setTimeout(() => finish(false), timeout);
+        poll = setInterval(async () => {
+            try {
+                const field = await page.$(session.selectors.password);
+                if (field && await field.isVisible()) {
+                    finish(true);
+                }
+            } catch {
+                // Page navigating or closed; try again on the next tick until the timeout
+            }
+        }, LOGIN_PAGE_POLL_MS);
+    });
+    return { promise, stop: () => finish(false) };
+}
+
+async function isLoginPage(page) {
+    try {
+        return (await page.$(session.selectors.password)) !== null;
+    } catch {
+        return false;
+    }
+}
+
+// A download hit the login page: the stored session is no longer good
+function markSessionInvalid() {
+    session.valid = false;
+    session.lastLoginPageAt = new Date().toISOString();
+}
+
+// The stored session just worked for a download
+function markSessionValid() {
+    if (session.storageState) {
+        session.valid = true;
+    }
+}
+
+async function saveStorageState(state) {
+    const tmpPath = `${session.statePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(state, null, 2));
+    await fs.rename(tmpPath, session.statePath);
+    session.storageState = state;
+}
+
+async function performLogin(context) {
+    console.log(`🔑 Logging in to the FleetOne portal as ${session.username}...`);
+    const page = await context.newPage();
+
+    try {
+        await page.goto(session.loginUrl, { waitUntil: 'domcontentloaded', timeout: LOGIN_TIMEOUT_MS });
+        await page.fill(session.selectors.username, session.username, { timeout: LOGIN_TIMEOUT_MS });
+        await page.fill(session.selectors.password, session.password, { timeout: LOGIN_TIMEOUT_MS });
+        await Promise.all([
+            page.waitForLoadState('networkidle', { timeout: LOGIN_TIMEOUT_MS }).catch(() => {}),
+            page.click(session.selectors.submit, { timeout: LOGIN_TIMEOUT_MS })
+        ]);
+        await page.waitForLoadState('networkidle', { timeout: LOGIN_TIMEOUT_MS }).catch(() => {});
+
+        // Still looking at a password field means the credentials were refused
+        if (await isLoginPage(page)) {
+            throw new PermanentError('FleetOne login failed: still on the login page after submitting credentials');
+        }
+
+        await saveStorageState(await context.storageState());
+        session.valid = true;
+        session.logins++;
+        session.lastLoginAt = new Date().toISOString();
+        session.lastLoginError = null;
+        console.log(`✓ Portal login succeeded, session saved to ${session.statePath}`);
+    } catch (error) {
+        session.valid = false;
+        session.lastLoginError = error.message;
+        console.error(`❌ Portal login failed: ${error.message}`);
+        throw error;
+    } finally {
+        await page.close().catch(() => {});
+    }
+}
+
+// Log in inside the given context and save the session. Concurrent callers share one
+// login and then pick up its cookies.
+async function login(context) {
+    if (!isConfigured()) {
+        throw new PermanentError('Report link requires a FleetOne login but FLEETONE_USERNAME / FLEETONE_PASSWORD are not configured');
+    }
+
+    if (session.loginInFlight) {
+        await session.loginInFlight;
+        await context.addCookies(session.storageState.cookies);
+        return;
+    }
+
+    session.loginInFlight = performLogin(context).finally(() => {
+        session.loginInFlight = null;
+    });
+    return session.loginInFlight;
+}
+
+function getSessionStatus() {
+    return {
+        configured: isConfigured(),
+        loginUrl: session.loginUrl,
+        stored: !!session.storageState,
+        valid: isConfigured() && session.valid && !sessionExpired(),
+        expiresAt: sessionExpiresAt(),
+        lastLoginAt: session.lastLoginAt,
+        lastLoginError: session.lastLoginError,
+        lastLoginPageAt: session.lastLoginPageAt,
+        logins: session.logins
+    };
+}
+
+module.exports = {
+    configurePortalSession,
+    initPortalSession,
+    isConfigured,
+    getStorageState,
+    getCookies,
+    waitForLoginPage,
+    isLoginPage,
+    markSessionInvalid,
+    markSessionValid,
+    login,
+    getSessionStatus
+};
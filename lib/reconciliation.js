@@ -0,0 +1,358 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Pairs the fuel grand-total report (GrandTotalReport / TransactionReport PDF) with the itemized
+// EnhancedTransactionReport.csv of the same report date, and checks that the transactions add
+// up to the grand total for the day and, when the PDF has per-card totals, for each card.
+// The itemized report is also checked for anomalies: duplicate transactions, cards over their
+// daily gallon limit and purchases outside the allowed hours.
+
+const SIDES = ['grandTotal', 'itemized'];
+
+// Days are kept this long after their last report arrived
+const RETENTION_DAYS = 90;
+
+const config = {
+    tolerance: 0.01,
+    gallonLimit: null,
+    cardGallonLimits: {},
+    allowedHours: null
+};
+
+// days["YYYY-MM-DD"] = { grandTotal: {...}, itemized: {...} }
+let days = {};
+let storePath = null;
+let writeChain = Promise.resolve();
+
+// "HH:MM-HH:MM"; the window may wrap past midnight ("20:00-06:00")
+function parseHours(value) {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)\s*-\s*([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value).trim());
+    if (!match) {
+        throw new Error(`Invalid allowed purchase hours "${value}" (expected HH:MM-HH:MM)`);
+    }
+    return {
+        label: String(value).trim(),
+        start: parseInt(match[1]) * 60 + parseInt(match[2]),
+        end: parseInt(match[3]) * 60 + parseInt(match[4])
+    };
+}
+
+// Invalid settings throw so a bad configuration fails the boot
+function configureReconciliation({ tolerance, gallonLimit, cardGallonLimits, allowedHours }) {
+    if (tolerance !== undefined && !isNaN(tolerance)) {
+        config.tolerance = tolerance;
+    }
+    config.gallonLimit = gallonLimit > 0 ? gallonLimit : null;
+
+    let limits = {};
+    if (cardGallonLimits) {
+        try {
+            limits = typeof cardGallonLimits === 'string' ? JSON.parse(cardGallonLimits) : cardGallonLimits;
+        } catch (err) {
+            throw new Error(`Invalid card gallon limits (expected JSON like {"1234": 150}): ${err.message}`);
+        }
+        for (const [card, limit] of Object.entries(limits)) {
+            if (typeof limit !== 'number' || !(limit > 0)) {
+                throw new Error(`Invalid gallon limit for card ${card} (expected a positive number)`);
+            }
+        }
+    }
+    config.cardGallonLimits = Object.fromEntries(Object.entries(limits).map(([card, limit]) => [cardKey(card), limit]));
+
+    config.allowedHours = allowedHours ? parseHours(allowedHours) : null;
+}
+
+async function initReconciliation(persistentDir) {
+    storePath = path.join(persistentDir, 'reconciliation.json');
+
+    try {
+        days = JSON.parse(await fs.readFile(storePath, 'utf8')).days || {};
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`⚠️  Could not read reconciliation store, starting empty: ${err.message}`);
+        }
+        days = {};
+    }
+
+    console.log(`✓ Reconciliation store loaded (${Object.keys(days).length} day(s))`);
+}
+
+// Drop days nothing was recorded for in RETENTION_DAYS, then write the store atomically
+function persistStore() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    for (const [date, day] of Object.entries(days)) {
+        const lastRecordedAt = SIDES.map(side => day[side]?.source.recordedAt || '').sort().pop();
+        if (lastRecordedAt < cutoff) delete days[date];
+    }
+
+    const snapshot = JSON.stringify({ days }, null, 2);
+    writeChain = writeChain.then(async () => {
+        const tmpPath = `${storePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, storePath);
+    }).catch(err => {
+        console.error(`❌ Failed to persist reconciliation store: ${err.message}`);
+    });
+    return writeChain;
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// Cards are compared on their last four digits, since reports mask the rest differently
+function cardKey(card) {
+    const digits = String(card || '').replace(/\D/g, '');
+    return digits.length >= 4 ? digits.slice(-4) : String(card || 'unknown').trim();
+}
+
+// "14:05", "2:05 PM" and "140500" to minutes after midnight; null when unreadable
+function minutesOfDay(time) {
+    if (!time) return null;
+    const text = String(time).trim();
+    let match = /^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i.exec(text);
+    if (!match) {
+        match = /^(\d{2})(\d{2})(?:\d{2})?$/.exec(text);
+    }
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const meridiem = match[3] && match[3][0].toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+}
+
+function isWithinHours(minutes, { start, end }) {
+    return start <= end ? minutes >= start && minutes <= end : minutes >= start || minutes <= end;
+}
+
+function describeTransaction(transaction) {
+    const { date, time, card, driver, unit, location, gallons, amount } = transaction;
+    return { date, time, card, driver, unit, location, gallons, amount };
+}
+
+// Per-card totals from the grand-total PDF's "Card ... Total" lines, when it has them
+function grandTotalCards(parsed) {
+    const cards = {};
+    for (const line of parsed.totals || []) {
+        if (/grand\s*total/i.test(line.label)) continue;
+        const match = /card\b\D*?([\dX*]*\d{4})\b/i.exec(line.label);
+        if (!match) continue;
+        cards[cardKey(match[1])] = { amount: line.amount, gallons: line.gallons };
+    }
+    return cards;
+}
+
+// Per-card totals from the itemized transactions
+function itemizedCards(transactions) {
+    const cards = {};
+    for (const transaction of transactions) {
+        const key = cardKey(transaction.card);
+        const card = cards[key] || (cards[key] = { amount: 0, gallons: 0, transactionCount: 0 });
+        card.amount = round(card.amount + transaction.amount);
+        card.gallons = round(card.gallons + (transaction.gallons || 0), 3);
+        card.transactionCount++;
+    }
+    return cards;
+}
+
+// Anomalies in the itemized transactions, with the configuration in effect when it arrived
+function findAnomalies(transactions) {
+    const anomalies = [];
+
+    // The same card, time, place and amount more than once
+    const seen = new Map();
+    for (const transaction of transactions) {
+        const key = [cardKey(transaction.card), transaction.date, transaction.time, transaction.location, transaction.gallons, transaction.amount].join('|');
+        seen.set(key, [...(seen.get(key) || []), transaction]);
+    }
+    for (const duplicates of seen.values()) {
+        if (duplicates.length > 1) {
+            anomalies.push({
+                kind: 'duplicate-transaction',
+                card: cardKey(duplicates[0].card),
+                count: duplicates.length,
+                message: `${duplicates.length} identical transactions of $${duplicates[0].amount.toFixed(2)} on card ${cardKey(duplicates[0].card)}`,
+                transaction: describeTransaction(duplicates[0])
+            });
+        }
+    }
+
+    for (const [card, totals] of Object.entries(itemizedCards(transactions))) {
+        const limit = config.cardGallonLimits[card] || config.gallonLimit;
+        if (limit && totals.gallons > limit) {
+            anomalies.push({
+                kind: 'gallon-limit',
+                card,
+                gallons: totals.gallons,
+                limit,
+                message: `Card ${card} bought ${totals.gallons} gallons, over its limit of ${limit}`
+            });
+        }
+    }
+
+    if (config.allowedHours) {
+        for (const transaction of transactions) {
+            const minutes = minutesOfDay(transaction.time);
+            if (minutes !== null && !isWithinHours(minutes, config.allowedHours)) {
+                anomalies.push({
+                    kind: 'outside-hours',
+                    card: cardKey(transaction.card),
+                    allowedHours: config.allowedHours.label,
+                    message: `Card ${cardKey(transaction.card)} purchase at ${transaction.time} is outside ${config.allowedHours.label}`,
+                    transaction: describeTransaction(transaction)
+                });
+            }
+        }
+    }
+
+    return anomalies;
+}
+
+function differs(expected, actual) {
+    return typeof expected === 'number' && typeof actual === 'number' && Math.abs(expected - actual) > config.tolerance;
+}
+
+// Compare the two reports of a day; "incomplete" until both have arrived
+function reconcile(date) {
+    const day = days[date];
+    if (!day) {
+        return null;
+    }
+    const { grandTotal, itemized } = day;
+    const mismatches = [];
+    const cards = [];
+
+    if (grandTotal && itemized) {
+        for (const field of ['amount', 'gallons']) {
+            if (differs(grandTotal.totals[field], itemized.totals[field])) {
+                mismatches.push({
+                    kind: 'day-total',
+                    field,
+                    grandTotal: grandTotal.totals[field],
+                    itemized: itemized.totals[field],
+                    difference: round(itemized.totals[field] - grandTotal.totals[field], 3)
+                });
+            }
+        }
+
+        // Cards are only compared when the grand-total report lists them
+        const compareCards = Object.keys(grandTotal.cards).length > 0;
+        for (const card of Array.from(new Set([...Object.keys(itemized.cards), ...Object.keys(grandTotal.cards)])).sort()) {
+            const expected = grandTotal.cards[card] || null;
+            const actual = itemized.cards[card] || null;
+            const entry = { card, grandTotal: expected, itemized: actual, matched: null };
+            if (compareCards) {
+                // A card missing from one report is a single amount mismatch
+                const cardMismatches = ['amount', 'gallons']
+                    .filter(field => !expected || !actual ? field === 'amount' : differs(expected[field], actual[field]))
+                    .map(field => ({
+                        kind: 'card-total',
+                        card,
+                        field,
+                        grandTotal: expected ? expected[field] : null,
+                        itemized: actual ? actual[field] : null,
+                        difference: round((actual ? actual[field] || 0 : 0) - (expected ? expected[field] || 0 : 0), 3)
+                    }));
+                entry.matched = cardMismatches.length === 0;
+                mismatches.push(...cardMismatches);
+            }
+            cards.push(entry);
+        }
+    }
+
+    const anomalies = itemized ? itemized.anomalies : [];
+    let status = 'incomplete';
+    if (grandTotal && itemized) {
+        status = mismatches.length > 0 ? 'mismatch' : 'matched';
+    }
+
+    return {
+        date,
+        status,
+        tolerance: config.tolerance,
+        grandTotal: grandTotal ? { totals: grandTotal.totals, source: grandTotal.source } : null,
+        itemized: itemized ? { totals: itemized.totals, transactionCount: itemized.transactionCount, source: itemized.source } : null,
+        difference: grandTotal && itemized ? {
+            amount: round(itemized.totals.amount - grandTotal.totals.amount),
+            gallons: typeof grandTotal.totals.gallons === 'number' ? round(itemized.totals.gallons - grandTotal.totals.gallons, 3) : null
+        } : null,
+        cards,
+        mismatches,
+        anomalies,
+        flagged: mismatches.length > 0 || anomalies.length > 0
+    };
+}
+
+// Store one side of a day from its parsed report and reconcile the day. The latest report of
+// a side replaces the previous one. Source: { jobId, messageId, fileName, fileHash }.
+async function recordReport({ side, parsed, source }) {
+    if (!SIDES.includes(side)) {
+        throw new Error(`Invalid reconciliation side "${side}" (expected ${SIDES.join(' or ')})`);
+    }
+    const date = parsed.reportDate;
+    const day = days[date] || (days[date] = {});
+
+    if (side === 'grandTotal') {
+        day.grandTotal = {
+            totals: { amount: parsed.grandTotal.amount, gallons: parsed.grandTotal.gallons },
+            cards: grandTotalCards(parsed),
+            source: { ...source, recordedAt: new Date().toISOString() }
+        };
+    } else {
+        const transactions = parsed.transactions.filter(transaction => !transaction.date || transaction.date === date);
+        day.itemized = {
+            totals: {
+                amount: round(transactions.reduce((sum, t) => sum + t.amount, 0)),
+                gallons: round(transactions.reduce((sum, t) => sum + (t.gallons || 0), 0), 3)
+            },
+            transactionCount: transactions.length,
+            cards: itemizedCards(transactions),
+            anomalies: findAnomalies(transactions),
+            source: { ...source, recordedAt: new Date().toISOString() }
+        };
+    }
+    await persistStore();
+
+    const result = reconcile(date);
+    const problems = [
+        result.mismatches.length > 0 && `${result.mismatches.length} mismatch(es)`,
+        result.anomalies.length > 0 && `${result.anomalies.length} anomal${result.anomalies.length === 1 ? 'y' : 'ies'}`
+    ].filter(Boolean);
+    if (problems.length > 0) {
+        console.warn(`⚠️  Reconciliation ${date} ${result.status}: ${problems.join(', ')}`);
+    } else {
+        console.log(`🧮 Reconciliation ${date}: ${result.status}`);
+    }
+    return result;
+}
+
+function getReconciliation(date) {
+    return reconcile(date);
+}
+
+// Compact view for job records
+function summarizeReconciliation(result) {
+    if (!result) {
+        return null;
+    }
+    return {
+        date: result.date,
+        status: result.status,
+        difference: result.difference,
+        mismatches: result.mismatches.length,
+        anomalies: result.anomalies.length
+    };
+}
+
+module.exports = {
+    SIDES,
+    configureReconciliation,
+    initReconciliation,
+    recordReport,
+    getReconciliation,
+    summarizeReconciliation
+};
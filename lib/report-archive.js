@@ -0,0 +1,241 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Optional archive of every report the server handled, stored once per SHA-256 content hash.
+// Layout: <persistentDir>/archive/<sha256>/entry.json + file.<ext>. The entry ID is the hash;
+// a report that comes in again updates the existing entry instead of adding a copy.
+
+const STATUSES = ['delivered', 'failed'];
+
+const config = {
+    enabled: false,
+    retentionDays: 90,
+    pruneIntervalMs: 60 * 60 * 1000
+};
+
+const entries = new Map();
+
+let archiveDir = null;
+let timer = null;
+
+function configureReportArchive({ enabled, retentionDays, pruneIntervalMs }) {
+    config.enabled = !!enabled;
+    if (retentionDays !== undefined && !isNaN(retentionDays)) {
+        config.retentionDays = retentionDays;
+    }
+    if (pruneIntervalMs > 0) {
+        config.pruneIntervalMs = pruneIntervalMs;
+    }
+}
+
+function isEnabled() {
+    return config.enabled;
+}
+
+async function initReportArchive(persistentDir) {
+    if (!config.enabled) {
+        console.log('✓ Report archive: off');
+        return;
+    }
+
+    archiveDir = path.join(persistentDir, 'archive');
+    await fs.mkdir(archiveDir, { recursive: true });
+
+    for (const id of await fs.readdir(archiveDir)) {
+        try {
+            const entry = JSON.parse(await fs.readFile(path.join(archiveDir, id, 'entry.json'), 'utf8'));
+            entries.set(entry.id, entry);
+        } catch (err) {
+            console.error(`   Skipping unreadable archive entry ${id}: ${err.message}`);
+        }
+    }
+
+    await pruneArchive();
+    if (config.retentionDays > 0) {
+        timer = setInterval(() => {
+            pruneArchive().catch(err => console.error(`❌ Archive pruning failed: ${err.message}`));
+        }, config.pruneIntervalMs);
+        timer.unref();
+    }
+    console.log(`✓ Report archive: ${entries.size} report(s) in ${archiveDir}, kept ${config.retentionDays > 0 ? `${config.retentionDays} days` : 'forever'}`);
+}
+
+function stopReportArchive() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+async function writeEntry(entry) {
+    const entryPath = path.join(archiveDir, entry.id, 'entry.json');
+    const tmpPath = `${entryPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(entry, null, 2));
+    await fs.rename(tmpPath, entryPath);
+}
+
+// Delivered only when every destination took the file
+function statusOf(deliveries) {
+    return deliveries.length > 0 && deliveries.every(delivery => delivery.success) ? 'delivered' : 'failed';
+}
+
+function describeDeliveries(deliveries) {
+    return deliveries.map(({ destination, type, success, status, location, error }) => ({
+        destination,
+        type: type || null,
+        success,
+        status: status ?? null,
+        location: location || null,
+        error: error || null
+    }));
+}
+
+// Archive a handled report with its destination status. The file is written only the first
+// time its hash is seen; later arrivals are added to the entry's occurrences.
+async function archiveReport({ job, fileBuffer, fileName, contentType, fileType, fileHash, reportType, reportDate, rule, deliveries, deadLetterId }) {
+    if (!config.enabled) {
+        return null;
+    }
+
+    const now = new Date().toISOString();
+    const occurrence = { jobId: job.id, messageId: job.messageId, conversationId: job.conversationId || null, fileName, at: now };
+    let entry = entries.get(fileHash);
+
+    if (!entry) {
+        const dir = path.join(archiveDir, fileHash);
+        await fs.mkdir(dir, { recursive: true });
+
+        // Stored under a fixed name so no attachment name can clash with entry.json or leave
+        // the directory; the original name is kept in the entry for downloads
+        const extension = path.extname(path.basename(fileName || '')).toLowerCase();
+        const storedName = `file${/^\.[a-z0-9]{1,10}$/.test(extension) ? extension : ''}`;
+        await fs.writeFile(path.join(dir, storedName), fileBuffer);
+
+        entry = {
+            id: fileHash,
+            fileHash,
+            fileName,
+            storedName,
+            fileSize: fileBuffer.length,
+            contentType,
+            fileType,
+            messageId: job.messageId,
+            conversationId: job.conversationId || null,
+            jobId: job.id,
+            source: job.source || 'missive',
+            occurrences: [],
+            archivedAt: now
+        };
+        console.log(`🗄️  Archived ${fileName} as ${fileHash.slice(0, 12)}`);
+    } else {
+        console.log(`🗄️  ${fileName} already archived as ${fileHash.slice(0, 12)} - updating its record`);
+    }
+
+    Object.assign(entry, {
+        reportType,
+        reportDate: reportDate || entry.reportDate || null,
+        rule,
+        status: statusOf(deliveries),
+        deliveries: describeDeliveries(deliveries),
+        deadLetterId: deadLetterId || null,
+        occurrences: [...entry.occurrences, occurrence],
+        updatedAt: now
+    });
+
+    await writeEntry(entry);
+    entries.set(entry.id, entry);
+    return entry;
+}
+
+// Record the outcome of a dead-letter replay on the archived report
+async function recordReplay(fileHash, results) {
+    const entry = entries.get(fileHash);
+    if (!entry) {
+        return null;
+    }
+
+    const replayed = describeDeliveries(results);
+    const deliveries = [
+        ...entry.deliveries.filter(delivery => !replayed.some(result => result.destination === delivery.destination)),
+        ...replayed
+    ];
+    Object.assign(entry, {
+        status: statusOf(deliveries),
+        deliveries,
+        deadLetterId: statusOf(deliveries) === 'delivered' ? null : entry.deadLetterId,
+        updatedAt: new Date().toISOString()
+    });
+    await writeEntry(entry);
+    return entry;
+}
+
+function getReport(id) {
+    return entries.get(id) || null;
+}
+
+// Newest first. Dates filter on the report date, "since"/"until" on when it was archived.
+function listReports({ reportType, messageId, status, from, to, since, until, limit = 50 } = {}) {
+    return Array.from(entries.values())
+        .filter(entry => !reportType || entry.reportType === reportType)
+        .filter(entry => !messageId || entry.messageId === messageId || entry.occurrences.some(occurrence => occurrence.messageId === messageId))
+        .filter(entry => !status || entry.status === status)
+        .filter(entry => (!from || (entry.reportDate && entry.reportDate >= from)) && (!to || (entry.reportDate && entry.reportDate <= to)))
+        .filter(entry => (!since || entry.archivedAt >= since) && (!until || entry.archivedAt <= until))
+        .sort((a, b) => b.archivedAt.localeCompare(a.archivedAt))
+        .slice(0, limit);
+}
+
+function getReportFilePath(entry) {
+    return path.join(archiveDir, entry.id, entry.storedName);
+}
+
+// Remove reports that have not come in again within the retention period
+async function pruneArchive() {
+    if (!config.enabled || !(config.retentionDays > 0)) {
+        return 0;
+    }
+    const cutoff = Date.now() - config.retentionDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+
+    for (const entry of Array.from(entries.values())) {
+        if (new Date(entry.updatedAt).getTime() >= cutoff) continue;
+
+        try {
+            await fs.rm(path.join(archiveDir, entry.id), { recursive: true, force: true });
+            entries.delete(entry.id);
+            removed++;
+        } catch (err) {
+            console.error(`   Error deleting archived report ${entry.id}: ${err.message}`);
+        }
+    }
+
+    if (removed > 0) {
+        console.log(`🧹 Pruned ${removed} archived report(s) older than ${config.retentionDays} days`);
+    }
+    return removed;
+}
+
+function getArchiveStats() {
+    const reports = Array.from(entries.values());
+    return {
+        enabled: config.enabled,
+        retentionDays: config.retentionDays,
+        reports: reports.length,
+        bytes: reports.reduce((sum, entry) => sum + entry.fileSize, 0)
+    };
+}
+
+module.exports = {
+    STATUSES,
+    configureReportArchive,
+    isEnabled,
+    initReportArchive,
+    stopReportArchive,
+    archiveReport,
+    recordReplay,
+    getReport,
+    listReports,
+    getReportFilePath,
+    pruneArchive,
+    getArchiveStats
+};
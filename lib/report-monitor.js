@@ -0,0 +1,378 @@
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const jobStore = require('./job-store');
+const dedupeLedger = require('./dedupe-ledger');
+const deadLetterStore = require('./dead-letter-store');
+const alerts = require('./alerts');
+
+// Watches for reports that should have arrived and did not. Each expectation names a report
+// type, the weekdays it is due and the local time it is due by, e.g.
+//   { "name": "daily-fuel", "reportType": "FuelReport", "by": "09:00" }
+//   { "name": "weekly-efs", "reportType": "EFSReport", "days": ["tue"] }
+// A scheduler checks them against the dedupe ledger's delivered files every minute and alerts
+// once per expectation and day. It also sends the daily digest at DIGEST_TIME.
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+    daily: WEEKDAYS,
+    weekdays: ['mon', 'tue', 'wed', 'thu', 'fri']
+};
+
+// Alert bookkeeping is kept this long
+const STATE_RETENTION_DAYS = 14;
+
+const config = {
+    expectations: [],
+    timezone: 'UTC',
+    digestTime: null,
+    intervalMs: 60000,
+    alertOnJobFailure: true
+};
+
+// alerts["<expectation>|<YYYY-MM-DD>"] = time the missing-report alert went out
+let state = { alerts: {}, lastDigestDate: null };
+let statePath = null;
+let writeChain = Promise.resolve();
+let timer = null;
+let checking = false;
+
+function isTime(value) {
+    return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// Normalize and validate one expectation from the config
+function compileExpectation(raw, index) {
+    const label = raw.name || `expectation #${index + 1}`;
+
+    if (!raw.reportType) {
+        throw new Error(`Report ${label} is missing "reportType"`);
+    }
+    const by = raw.by || '23:59';
+    if (!isTime(by)) {
+        throw new Error(`Report ${label} has invalid "by" (expected HH:MM)`);
+    }
+
+    const daysValue = raw.days || 'daily';
+    const days = typeof daysValue === 'string' && DAY_SETS[daysValue]
+        ? DAY_SETS[daysValue]
+        : (Array.isArray(daysValue) ? daysValue : [daysValue]).map(day => String(day).toLowerCase().slice(0, 3));
+    const invalid = days.filter(day => !WEEKDAYS.includes(day));
+    if (invalid.length > 0 || days.length === 0) {
+        throw new Error(`Report ${label} has invalid "days" (expected "daily", "weekdays" or day names)`);
+    }
+
+    return { name: label, reportType: raw.reportType, days, by };
+}
+
+// Expectations come from a JSON file or inline JSON: an array or { "expectations": [...] }
+function loadExpectations({ filePath, json }) {
+    let raw = null;
+    let source = null;
+    try {
+        if (filePath) {
+            source = path.resolve(filePath);
+            raw = JSON.parse(fsSync.readFileSync(source, 'utf8'));
+        } else if (json) {
+            source = 'REPORT_EXPECTATIONS';
+            raw = JSON.parse(json);
+        }
+    } catch (err) {
+        throw new Error(`Failed to load report expectations from ${source}: ${err.message}`);
+    }
+    if (!raw) {
+        return [];
+    }
+
+    const list = Array.isArray(raw) ? raw : raw.expectations;
+    if (!Array.isArray(list)) {
+        throw new Error(`Report expectations in ${source} must be an array or contain an "expectations" array`);
+    }
+    return list.map(compileExpectation);
+}
+
+function configureReportMonitor({ expectations, timezone, digestTime, intervalMs, alertOnJobFailure }) {
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (err) {
+            throw new Error(`Invalid MONITOR_TIMEZONE "${timezone}"`);
+        }
+    }
+    if (digestTime && !isTime(digestTime)) {
+        throw new Error(`Invalid DIGEST_TIME "${digestTime}" (expected HH:MM)`);
+    }
+
+    config.expectations = expectations || [];
+    config.timezone = timezone || 'UTC';
+    config.digestTime = digestTime || null;
+    config.intervalMs = intervalMs || config.intervalMs;
+    config.alertOnJobFailure = alertOnJobFailure !== false;
+}
+
+// Local date, time and weekday of an instant in the monitor's time zone
+function localParts(instant) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: config.timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        weekday: 'short',
+        hourCycle: 'h23'
+    });
+    for (const part of format.formatToParts(instant)) {
+        parts[part.type] = part.value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}`,
+        weekday: parts.weekday.toLowerCase().slice(0, 3)
+    };
+}
+
+// A whole past day, as if checked at its last minute
+function endOfDay(isoDate) {
+    return {
+        date: isoDate,
+        time: '23:59',
+        weekday: WEEKDAYS[new Date(`${isoDate}T00:00:00Z`).getUTCDay()]
+    };
+}
+
+async function initReportMonitor(persistentDir) {
+    statePath = path.join(persistentDir, 'report-monitor.json');
+    try {
+        const stored = JSON.parse(await fs.readFile(statePath, 'utf8'));
+        state = { alerts: stored.alerts || {}, lastDigestDate: stored.lastDigestDate || null };
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`⚠️  Could not read report monitor state, starting empty: ${err.message}`);
+        }
+    }
+
+    if (config.expectations.length > 0 || config.digestTime) {
+        timer = setInterval(() => {
+            runChecks().catch(err => console.error(`❌ Report monitor check failed: ${err.message}`));
+        }, config.intervalMs);
+        timer.unref();
+    }
+    console.log(`✓ Report monitor: ${config.expectations.length} expectation(s), digest ${config.digestTime ? `at ${config.digestTime}` : 'off'} (${config.timezone})`);
+}
+
+function stopReportMonitor() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+// Write the state atomically, one write at a time, dropping old alert records
+function persistState() {
+    const cutoff = new Date(Date.now() - STATE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const key of Object.keys(state.alerts)) {
+        if (key.split('|').pop() < cutoff) {
+            delete state.alerts[key];
+        }
+    }
+
+    const snapshot = JSON.stringify(state, null, 2);
+    writeChain = writeChain.then(async () => {
+        const tmpPath = `${statePath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, statePath);
+    }).catch(err => {
+        console.error(`❌ Failed to persist report monitor state: ${err.message}`);
+    });
+    return writeChain;
+}
+
+// Whether an expectation is met on a local day: not-expected, pending, received, late or missing
+function expectationStatus(expectation, local) {
+    const base = { name: expectation.name, reportType: expectation.reportType, days: expectation.days, by: expectation.by, date: local.date };
+    if (!expectation.days.includes(local.weekday)) {
+        return { ...base, status: 'not-expected' };
+    }
+
+    const delivered = dedupeLedger.listFiles()
+        .filter(file => file.reportType === expectation.reportType)
+        .map(file => ({ ...file, local: localParts(new Date(file.processedAt)) }))
+        .filter(file => file.local.date === local.date);
+    if (delivered.length > 0) {
+        const first = delivered[0];
+        return {
+            ...base,
+            status: first.local.time <= expectation.by ? 'received' : 'late',
+            receivedAt: first.processedAt,
+            jobId: first.jobId,
+            fileName: first.fileName
+        };
+    }
+
+    const alertedAt = state.alerts[`${expectation.name}|${local.date}`] || null;
+    return { ...base, status: local.time >= expectation.by ? 'missing' : 'pending', alertedAt };
+}
+
+// One pass of the scheduler: alert on newly missing reports, then send the digest when due
+async function runChecks(now = new Date()) {
+    if (checking) {
+        return;
+    }
+    checking = true;
+    try {
+        const local = localParts(now);
+
+        for (const expectation of config.expectations) {
+            const status = expectationStatus(expectation, local);
+            if (status.status !== 'missing' || status.alertedAt) {
+                continue;
+            }
+
+            // Remember the alert first so a slow channel cannot cause a second one
+            state.alerts[`${expectation.name}|${local.date}`] = now.toISOString();
+            await persistState();
+            console.warn(`⏰ ${expectation.reportType} (${expectation.name}) has not arrived by ${expectation.by} ${config.timezone}`);
+            await alerts.sendAlert({
+                kind: 'missing-report',
+                subject: `${expectation.reportType} not received by ${expectation.by}`,
+                text: `No ${expectation.reportType} has been delivered on ${local.date} by ${expectation.by} (${config.timezone}), as expected by "${expectation.name}".`,
+                details: status
+            });
+        }
+
+        if (config.digestTime && local.time >= config.digestTime && state.lastDigestDate !== local.date) {
+            state.lastDigestDate = local.date;
+            await persistState();
+            await sendDigest(local.date, now);
+        }
+    } finally {
+        checking = false;
+    }
+}
+
+// What happened on a local day: jobs by outcome, reports by type, failures and expectations
+function buildDigest(date, now = new Date()) {
+    const today = localParts(now);
+    const local = date === today.date ? today : endOfDay(date);
+
+    const jobs = jobStore.listJobs({ limit: Infinity })
+        .filter(job => ['succeeded', 'failed'].includes(job.state) && localParts(new Date(job.updatedAt)).date === date);
+
+    const reports = {};
+    for (const file of jobs.flatMap(job => job.files || [])) {
+        const type = file.reportType || 'unknown';
+        reports[type] = reports[type] || { delivered: 0, duplicate: 0, failed: 0 };
+        reports[type][file.alreadyProcessed ? 'duplicate' : file.success ? 'delivered' : 'failed']++;
+    }
+
+    return {
+        date,
+        timezone: config.timezone,
+        jobs: {
+            succeeded: jobs.filter(job => job.state === 'succeeded').length,
+            failed: jobs.filter(job => job.state === 'failed').length
+        },
+        reports,
+        failedJobs: jobs
+            .filter(job => job.state === 'failed')
+            .map(job => ({ jobId: job.id, messageId: job.messageId, error: job.error })),
+        expectations: config.expectations.map(expectation => expectationStatus(expectation, local)),
+        deadLetters: deadLetterStore.listDeadLetters().length
+    };
+}
+
+function formatDigest(digest) {
+    const lines = [`WexDownloader digest for ${digest.date} (${digest.timezone})`, ''];
+    lines.push(`Jobs: ${digest.jobs.succeeded} succeeded, ${digest.jobs.failed} failed`);
+
+    const types = Object.entries(digest.reports);
+    if (types.length > 0) {
+        lines.push('', 'Reports:');
+        for (const [type, counts] of types) {
+            lines.push(`- ${type}: ${counts.delivered} delivered, ${counts.duplicate} duplicate, ${counts.failed} failed`);
+        }
+    }
+
+    const expected = digest.expectations.filter(status => status.status !== 'not-expected');
+    if (expected.length > 0) {
+        lines.push('', 'Expected reports:');
+        for (const status of expected) {
+            lines.push(`- ${status.name} (${status.reportType} by ${status.by}): ${status.status}${status.receivedAt ? ` at ${status.receivedAt}` : ''}`);
+        }
+    }
+
+    if (digest.failedJobs.length > 0) {
+        lines.push('', 'Failed jobs:');
+        for (const job of digest.failedJobs) {
+            lines.push(`- ${job.jobId} (message ${job.messageId}): ${job.error}`);
+        }
+    }
+
+    lines.push('', `Dead letters waiting for replay: ${digest.deadLetters}`);
+    return lines.join('\n');
+}
+
+async function sendDigest(date, now = new Date()) {
+    const digest = buildDigest(date, now);
+    const problems = digest.jobs.failed + digest.expectations.filter(status => ['missing', 'late'].includes(status.status)).length;
+    const results = await alerts.sendAlert({
+        kind: 'digest',
+        subject: `Daily digest ${date}: ${digest.jobs.succeeded} succeeded, ${digest.jobs.failed} failed${problems > 0 ? ' ⚠️' : ''}`,
+        text: formatDigest(digest),
+        details: digest
+    });
+    return { digest, results };
+}
+
+// Alert on a job that failed for good (after any browser-crash retries)
+async function notifyJobFailed(job) {
+    if (!config.alertOnJobFailure) {
+        return [];
+    }
+    const failedFiles = (job.files || []).filter(file => !file.success);
+    return alerts.sendAlert({
+        kind: 'job-failed',
+        subject: `Job failed for message ${job.messageId}`,
+        text: [
+            `Job ${job.id} (message ${job.messageId}${job.conversationId ? `, conversation ${job.conversationId}` : ''}) failed:`,
+            job.error || 'Unknown error',
+            ...failedFiles.map(file => `- ${file.fileName || file.url}: ${file.error}${file.deadLetterId ? ` (dead letter ${file.deadLetterId})` : ''}`)
+        ].join('\n'),
+        details: {
+            jobId: job.id,
+            messageId: job.messageId,
+            conversationId: job.conversationId || null,
+            error: job.error,
+            files: failedFiles
+        }
+    });
+}
+
+// Today's status of every expectation, for GET /monitor
+function getMonitorStatus(now = new Date()) {
+    const local = localParts(now);
+    return {
+        timezone: config.timezone,
+        localDate: local.date,
+        localTime: local.time,
+        alertChannels: alerts.getChannels(),
+        alertOnJobFailure: config.alertOnJobFailure,
+        digestTime: config.digestTime,
+        lastDigestDate: state.lastDigestDate,
+        expectations: config.expectations.map(expectation => expectationStatus(expectation, local))
+    };
+}
+
+module.exports = {
+    loadExpectations,
+    configureReportMonitor,
+    initReportMonitor,
+    stopReportMonitor,
+    runChecks,
+    buildDigest,
+    sendDigest,
+    notifyJobFailed,
+    getMonitorStatus
+};
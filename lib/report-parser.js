@@ -0,0 +1,286 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { parseCsv } = require('./content-detection');
+
+// Column header aliases in EnhancedTransactionReport.csv, compared after normalizeHeader()
+const CSV_COLUMNS = {
+    date: ['transactiondate', 'trandate', 'transdate', 'date', 'purchasedate'],
+    time: ['transactiontime', 'trantime', 'transtime', 'time', 'purchasetime'],
+    card: ['cardnumber', 'cardno', 'card', 'cardnum'],
+    driver: ['drivername', 'driver', 'drivernm', 'driverid'],
+    unit: ['unitnumber', 'unitno', 'unit', 'vehicle', 'vehiclenumber', 'truck'],
+    location: ['locationname', 'location', 'merchantname', 'merchant', 'sitename', 'truckstop'],
+    city: ['locationcity', 'city'],
+    state: ['locationstate', 'state', 'stateprov'],
+    gallons: ['gallons', 'totalgallons', 'fuelgallons', 'quantity', 'qty', 'units'],
+    amount: ['totalamount', 'netamount', 'transactionamount', 'amount', 'amt', 'total']
+};
+
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// "$1,234.56", "(12.00)" and "-12" to numbers; null when not numeric
+function parseAmount(value) {
+    if (value === null || value === undefined) return null;
+    let text = String(value).trim();
+    if (text === '') return null;
+
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    text = text.replace(/[()$,\s-]/g, '');
+    if (!/^\d*\.?\d+$/.test(text)) return null;
+
+    const number = parseFloat(text);
+    return negative ? -number : number;
+}
+
+// MM/DD/YYYY, MM/DD/YY, M-D-YYYY and YYYY-MM-DD to YYYY-MM-DD; null when not a date
+function normalizeDate(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+
+    let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    if (match) {
+        return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    }
+
+    match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{2}|\d{4})\b/.exec(text);
+    if (match) {
+        const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+        return `${year}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+
+    return null;
+}
+
+const DATE_PATTERN = /\b(\d{1,2}\/\d{1,2}\/(?:\d{4}|\d{2})|\d{4}-\d{2}-\d{2})\b/g;
+const NUMBER_PATTERN = /\(?-?\$?\s?\d[\d,]*\.\d{2,3}\)?/g;
+
+// Report date: prefer a labelled date, otherwise the first date in the document
+function findReportDate(lines) {
+    const labelled = /(report date|transaction date|date range|for date|from|as of|period)\b[^0-9]*(\d{1,2}\/\d{1,2}\/(?:\d{4}|\d{2})|\d{4}-\d{2}-\d{2})/i;
+    for (const line of lines) {
+        const match = labelled.exec(line);
+        if (match) {
+            return normalizeDate(match[2]);
+        }
+    }
+
+    for (const line of lines) {
+        const match = line.match(DATE_PATTERN);
+        if (match) {
+            return normalizeDate(match[0]);
+        }
+    }
+    return null;
+}
+
+// Pull the numbers from a totals line; a $-prefixed value is the amount, a plain one before it the gallons
+function readTotalsLine(line) {
+    const raw = line.match(NUMBER_PATTERN) || [];
+    const values = raw.map(parseAmount).filter(value => value !== null);
+    if (values.length === 0) {
+        return null;
+    }
+
+    const dollarIndex = raw.findIndex(value => value.includes('$'));
+    const amountIndex = dollarIndex !== -1 ? dollarIndex : values.length - 1;
+    const gallonsCandidates = values.filter((value, i) => i !== amountIndex && !raw[i].includes('$'));
+
+    return {
+        amount: values[amountIndex],
+        gallons: gallonsCandidates.length > 0 ? gallonsCandidates[0] : null,
+        values
+    };
+}
+
+// GrandTotalReport / TransactionReport PDF: report date and the grand total line
+async function parseGrandTotalPdf(buffer) {
+    // Copy into a standalone array: pdf.js reads the underlying ArrayBuffer and ignores
+    // the byte offset of small pooled Buffers
+    const pdf = await pdfParse(new Uint8Array(buffer));
+    const lines = pdf.text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    const reportDate = findReportDate(lines);
+
+    let grandTotal = null;
+    const totals = [];
+    lines.forEach((line, i) => {
+        if (!/total/i.test(line)) return;
+
+        // Some layouts put the figures on the line after the label
+        const figures = readTotalsLine(line) || (lines[i + 1] ? readTotalsLine(lines[i + 1]) : null);
+        if (!figures) return;
+
+        const label = line.replace(NUMBER_PATTERN, '').replace(/\s+/g, ' ').trim();
+        totals.push({ label, ...figures });
+        if (/grand\s*total/i.test(line)) {
+            grandTotal = { label, ...figures };
+        }
+    });
+
+    if (!grandTotal) {
+        throw new Error('No "Grand Total" line found in PDF text');
+    }
+
+    return {
+        parser: 'grand-total',
+        reportDate,
+        grandTotal,
+        totals,
+        pages: pdf.numpages
+    };
+}
+
+// Map each logical column to the first matching header index
+function mapColumns(header) {
+    const normalized = header.map(normalizeHeader);
+    const columns = {};
+    for (const [key, aliases] of Object.entries(CSV_COLUMNS)) {
+        for (const alias of aliases) {
+            const index = normalized.indexOf(alias);
+            if (index !== -1) {
+                columns[key] = index;
+                break;
+            }
+        }
+    }
+    return columns;
+}
+
+function round(value, places = 2) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+// EnhancedTransactionReport.csv: one entry per transaction
+function parseItemizedCsv(buffer) {
+    const rows = parseCsv(buffer.toString('utf8'));
+    if (rows.length < 1) {
+        throw new Error('CSV is empty');
+    }
+
+    const header = rows[0];
+    const columns = mapColumns(header);
+    if (columns.amount === undefined) {
+        throw new Error(`No amount column found in CSV header: ${header.join(', ')}`);
+    }
+
+    const cell = (row, key) => (columns[key] === undefined ? '' : (row[columns[key]] || '').trim());
+
+    const transactions = [];
+    for (const row of rows.slice(1)) {
+        // Skip summary rows some exports append at the bottom
+        if (/total/i.test(row[0] || '')) continue;
+
+        const amount = parseAmount(cell(row, 'amount'));
+        if (amount === null) continue;
+
+        const place = [cell(row, 'location'), [cell(row, 'city'), cell(row, 'state')].filter(Boolean).join(', ')]
+            .filter(Boolean)
+            .join(' - ');
+
+        transactions.push({
+            date: normalizeDate(cell(row, 'date')),
+            time: cell(row, 'time') || null,
+            card: cell(row, 'card') || null,
+            driver: cell(row, 'driver') || null,
+            unit: cell(row, 'unit') || null,
+            location: place || null,
+            gallons: parseAmount(cell(row, 'gallons')),
+            amount
+        });
+    }
+
+    // The report date is the most common transaction date
+    const dateCounts = {};
+    for (const transaction of transactions) {
+        if (transaction.date) {
+            dateCounts[transaction.date] = (dateCounts[transaction.date] || 0) + 1;
+        }
+    }
+    const reportDate = Object.keys(dateCounts).sort((a, b) => dateCounts[b] - dateCounts[a])[0] || null;
+
+    return {
+        parser: 'itemized',
+        reportDate,
+        transactionCount: transactions.length,
+        totals: {
+            gallons: round(transactions.reduce((sum, t) => sum + (t.gallons || 0), 0), 3),
+            amount: round(transactions.reduce((sum, t) => sum + t.amount, 0))
+        },
+        columns: Object.fromEntries(Object.entries(columns).map(([key, index]) => [key, header[index]])),
+        transactions
+    };
+}
+
+// Pick a parser from the routing rule, or from the file name and type
+function selectParser({ parser, fileName = '', fileType }) {
+    if (parser) {
+        return parser === 'none' ? null : parser;
+    }
+
+    const lowerFileName = fileName.toLowerCase();
+    if (fileType === 'pdf' && (lowerFileName.includes('grandtotalreport') || lowerFileName.startsWith('transactionreport'))) {
+        return 'grand-total';
+    }
+    if (fileType === 'csv' && lowerFileName.startsWith('enhancedtransactionreport')) {
+        return 'itemized';
+    }
+    return null;
+}
+
+// Parse a report into structured data. Returns null when no parser applies;
+// failures come back as { success: false, error } so delivery can carry on.
+async function parseReport(buffer, options) {
+    const parser = selectParser(options);
+    if (!parser) {
+        return null;
+    }
+
+    console.log(`🧾 Parsing ${options.fileName} with "${parser}" parser...`);
+    try {
+        let data;
+        switch (parser) {
+            case 'grand-total':
+                data = await parseGrandTotalPdf(buffer);
+                break;
+            case 'itemized':
+                data = parseItemizedCsv(buffer);
+                break;
+            default:
+                throw new Error(`Unknown report parser "${parser}"`);
+        }
+        console.log(`   ✓ Parsed report (date: ${data.reportDate || 'unknown'})`);
+        return { success: true, ...data };
+    } catch (error) {
+        console.error(`⚠️  Failed to parse ${options.fileName}: ${error.message}`);
+        return { success: false, parser, error: error.message };
+    }
+}
+
+// Compact view of a parse result for job records
+function summarizeParsed(parsed) {
+    if (!parsed) {
+        return null;
+    }
+    if (!parsed.success) {
+        return { parser: parsed.parser, success: false, error: parsed.error };
+    }
+    return {
+        parser: parsed.parser,
+        success: true,
+        reportDate: parsed.reportDate,
+        grandTotal: parsed.grandTotal ? parsed.grandTotal.amount : undefined,
+        transactionCount: parsed.transactionCount,
+        totals: parsed.parser === 'itemized' ? parsed.totals : undefined
+    };
+}
+
+module.exports = {
+    parseAmount,
+    normalizeDate,
+    parseReport,
+    summarizeParsed,
+    parseGrandTotalPdf,
+    parseItemizedCsv
+};
@@ -0,0 +1,110 @@
+const { compilePattern } = require('./routing');
+
+// Finds every report file a message points at: download links in the body that
+// match the configured link patterns, and files attached to the message itself.
+
+// FleetOne job file links and direct links to report files. Legacy .xls workbooks are left
+// out: content detection only accepts PDF, CSV and XLSX.
+const DEFAULT_LINK_PATTERNS = [
+    '*manage.fleetone.com/*getJobFile*',
+    '/\\.(pdf|csv|xlsx)(\\?|#|$)/i'
+];
+
+const DEFAULT_ATTACHMENT_EXTENSIONS = ['pdf', 'csv', 'xlsx'];
+
+let linkPatterns = DEFAULT_LINK_PATTERNS.map(compilePattern);
+let attachmentExtensions = DEFAULT_ATTACHMENT_EXTENSIONS;
+
+// Patterns come as a JSON array or a comma-separated list of globs and /regex/flags
+function parsePatternList(value) {
+    if (!value) return null;
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+        return JSON.parse(trimmed);
+    }
+    return trimmed.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+function configureReportSources({ linkPatterns: patterns, attachmentExtensions: extensions } = {}) {
+    const patternList = parsePatternList(patterns) || DEFAULT_LINK_PATTERNS;
+    try {
+        linkPatterns = patternList.map(pattern => compilePattern(String(pattern)));
+    } catch (err) {
+        throw new Error(`Invalid DOWNLOAD_LINK_PATTERNS: ${err.message}`);
+    }
+
+    attachmentExtensions = extensions
+        ? extensions.split(',').map(ext => ext.trim().replace(/^\./, '').toLowerCase()).filter(Boolean)
+        : DEFAULT_ATTACHMENT_EXTENSIONS;
+}
+
+function decodeEntities(url) {
+    return url.replace(/&amp;/g, '&');
+}
+
+// Every link in the body, in order and without duplicates: hrefs first, then bare URLs
+function extractLinks(body) {
+    const links = [];
+    for (const match of body.matchAll(/href="([^"]+)"/gi)) {
+        links.push(decodeEntities(match[1]));
+    }
+    for (const match of body.matchAll(/https?:\/\/[^\s"'<>]+/gi)) {
+        links.push(decodeEntities(match[0]));
+    }
+    return [...new Set(links)].filter(link => /^https?:\/\//i.test(link));
+}
+
+function matchesLinkPattern(url) {
+    return linkPatterns.some(pattern => pattern.test(url));
+}
+
+// Attachments with a report extension (skips signature images and the like)
+function filterAttachments(attachments) {
+    return (attachments || []).filter(attachment => {
+        if (attachmentExtensions.includes(attachment.extension)) {
+            return true;
+        }
+        console.log(`   Skipping attachment ${attachment.name} (not one of: ${attachmentExtensions.join(', ')})`);
+        return false;
+    });
+}
+
+// Every report file in a normalized message, as { kind: 'link', url } or { kind: 'attachment', name, url | content }
+function findReportSources(message) {
+    console.log('🔍 Looking for report links and attachments...');
+    const body = message.body || '';
+
+    const allLinks = body ? extractLinks(body) : [];
+    let links = allLinks.filter(matchesLinkPattern);
+
+    // Nothing matched the patterns: keep the old behaviour of taking the first link
+    if (links.length === 0 && allLinks.length > 0) {
+        console.log(`   No link matched the download link patterns - using the first link in the body`);
+        links = [allLinks[0]];
+    }
+
+    const sources = [
+        ...links.map(url => ({ kind: 'link', url })),
+        ...filterAttachments(message.attachments).map(attachment => ({ kind: 'attachment', ...attachment }))
+    ];
+
+    if (sources.length === 0) {
+        console.error('❌ Could not find any report link or attachment in the message');
+        console.error('   Body content (first 500 chars):');
+        console.error('   ' + body.substring(0, 500));
+        throw new Error('No download URL or report attachment found in message');
+    }
+
+    for (const source of sources) {
+        console.log(`✓ Found ${source.kind}: ${source.kind === 'attachment' ? source.name : source.url}`);
+    }
+    return sources;
+}
+
+module.exports = {
+    DEFAULT_LINK_PATTERNS,
+    DEFAULT_ATTACHMENT_EXTENSIONS,
+    configureReportSources,
+    extractLinks,
+    findReportSources
+};
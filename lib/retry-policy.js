@@ -0,0 +1,159 @@
+const metrics = require('./metrics');
+
+// Shared retry policy: exponential backoff with jitter, a total time budget,
+// Retry-After support and fail-fast on errors that can never succeed.
+
+// Thrown for problems retrying cannot fix (missing configuration, bad input)
+class PermanentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PermanentError';
+        this.retryable = false;
+    }
+}
+
+// HTTP statuses worth retrying; every other 4xx fails fast
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+const DEFAULTS = {
+    maxRetries: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 60000,
+    maxElapsedMs: 5 * 60 * 1000,
+    factor: 2,
+    jitter: 0.5
+};
+
+function readInt(name, fallback) {
+    const value = process.env[name];
+    return value === undefined || value === '' ? fallback : parseInt(value);
+}
+
+// Build a policy from <PREFIX>_MAX_RETRIES, <PREFIX>_RETRY_BASE_DELAY_MS, <PREFIX>_RETRY_MAX_DELAY_MS
+// and <PREFIX>_RETRY_MAX_ELAPSED_MS, falling back to the shared RETRY_* values and then the defaults
+function policyFromEnv(name, prefix, overrides = {}) {
+    const base = { ...DEFAULTS, ...overrides };
+    return {
+        name,
+        maxRetries: readInt(`${prefix}_MAX_RETRIES`, readInt('MAX_RETRIES', base.maxRetries)),
+        baseDelayMs: readInt(`${prefix}_RETRY_BASE_DELAY_MS`, readInt('RETRY_BASE_DELAY_MS', base.baseDelayMs)),
+        maxDelayMs: readInt(`${prefix}_RETRY_MAX_DELAY_MS`, readInt('RETRY_MAX_DELAY_MS', base.maxDelayMs)),
+        maxElapsedMs: readInt(`${prefix}_RETRY_MAX_ELAPSED_MS`, readInt('RETRY_MAX_ELAPSED_MS', base.maxElapsedMs)),
+        factor: base.factor,
+        jitter: base.jitter
+    };
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    if (/^\d+$/.test(String(value).trim())) {
+        return parseInt(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Decide whether an error is worth another attempt
+function classifyError(error) {
+    const status = error.response?.status;
+
+    if (error.retryable === false) {
+        return { retryable: false, status, reason: error.name === 'PermanentError' ? 'permanent' : 'not retryable' };
+    }
+
+    if (status) {
+        const retryAfterMs = parseRetryAfter(error.response.headers?.['retry-after']);
+        if (RETRYABLE_STATUSES.includes(status)) {
+            return { retryable: true, status, reason: `HTTP ${status}`, retryAfterMs };
+        }
+        if (status >= 400 && status < 500) {
+            return { retryable: false, status, reason: `HTTP ${status}` };
+        }
+    }
+
+    return { retryable: true, status, reason: error.code || error.name || 'error' };
+}
+
+// Exponential backoff with jitter: a random delay between (1 - jitter) and 1 times the step
+function backoffDelay(policy, attempt) {
+    const step = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(policy.factor, attempt - 1));
+    return Math.round(step * (1 - policy.jitter * Math.random()));
+}
+
+// Run fn(attempt) until it succeeds, the error is permanent, or the policy is exhausted.
+// onAttempt receives one record per attempt; the final error carries .attempts.
+async function withRetry(policy, fn, { onAttempt } = {}) {
+    const startedAt = Date.now();
+    const maxAttempts = policy.maxRetries + 1;
+
+    for (let attempt = 1; ; attempt++) {
+        const attemptStartedAt = Date.now();
+        try {
+            const result = await fn(attempt);
+            if (onAttempt) {
+                await onAttempt({
+                    policy: policy.name,
+                    attempt,
+                    success: true,
+                    durationMs: Date.now() - attemptStartedAt,
+                    at: new Date(attemptStartedAt).toISOString()
+                });
+            }
+            return { result, retries: attempt - 1 };
+        } catch (error) {
+            const classification = classifyError(error);
+            const elapsed = Date.now() - startedAt;
+
+            let delayMs = null;
+            let giveUpReason = null;
+            if (!classification.retryable) {
+                giveUpReason = `permanent error (${classification.reason})`;
+            } else if (attempt >= maxAttempts) {
+                giveUpReason = `no retries left (${maxAttempts} attempts)`;
+            } else {
+                delayMs = Math.max(backoffDelay(policy, attempt), classification.retryAfterMs || 0);
+                if (elapsed + delayMs > policy.maxElapsedMs) {
+                    giveUpReason = `retry budget of ${Math.round(policy.maxElapsedMs / 1000)}s exhausted`;
+                    delayMs = null;
+                }
+            }
+
+            if (onAttempt) {
+                await onAttempt({
+                    policy: policy.name,
+                    attempt,
+                    success: false,
+                    error: error.message,
+                    status: classification.status,
+                    retryable: classification.retryable,
+                    retryAfterMs: classification.retryAfterMs || undefined,
+                    delayMs,
+                    durationMs: Date.now() - attemptStartedAt,
+                    at: new Date(attemptStartedAt).toISOString()
+                });
+            }
+
+            if (giveUpReason) {
+                console.error(`   Giving up on ${policy.name}: ${giveUpReason}`);
+                metrics.recordRetryGiveUp(policy.name);
+                error.attempts = attempt;
+                error.retryable = classification.retryable;
+                throw error;
+            }
+
+            metrics.recordRetry(policy.name);
+            console.log(`   Retrying ${policy.name} in ${(delayMs / 1000).toFixed(1)} seconds (${classification.reason})...`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+    }
+}
+
+module.exports = {
+    PermanentError,
+    RETRYABLE_STATUSES,
+    policyFromEnv,
+    parseRetryAfter,
+    classifyError,
+    withRetry
+};
@@ -0,0 +1,291 @@
+const fs = require('fs');
+const path = require('path');
+const { PermanentError } = require('./retry-policy');
+const sinks = require('./sinks');
+
+// Built-in rules, used when no ROUTING_RULES_FILE is configured.
+// These mirror the original filename checks: Fuel reports first, everything else is EFS.
+const DEFAULT_RULES = [
+    {
+        name: 'fuel-grand-total',
+        match: { fileName: ['*grandtotalreport*', 'transactionreport*'] },
+        type: 'FuelReport',
+        destinations: [{ name: 'fuel', url: '${FUELREPORTWEBHOOK}' }]
+    },
+    {
+        name: 'fuel-itemized',
+        match: { fileName: 'enhancedtransactionreport.csv' },
+        type: 'ItemizedFuelReport',
+        destinations: [{ name: 'fuel', url: '${FUELREPORTWEBHOOK}' }]
+    },
+    {
+        name: 'efs-default',
+        match: {},
+        type: 'EFSReport',
+        destinations: [{ name: 'efs', url: '${EFSREPORTWEBHOOK}' }]
+    }
+];
+
+const MATCH_KEYS = ['fileName', 'subject', 'from', 'fileType', 'url'];
+
+// Fields known before the file is downloaded, usable to pick a download strategy
+const PRE_DOWNLOAD_KEYS = ['subject', 'from', 'url'];
+
+// auto: plain HTTP first, browser when the link needs one; direct/browser: only that method
+const DOWNLOAD_STRATEGIES = ['auto', 'direct', 'browser'];
+
+let rules = [];
+let rulesSource = 'built-in defaults';
+
+// Turn "/regex/flags" into a RegExp and anything else into a case-insensitive glob
+function compilePattern(pattern) {
+    const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexMatch) {
+        return new RegExp(regexMatch[1], regexMatch[2]);
+    }
+
+    const escaped = pattern
+        .split('')
+        .map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${escaped}$`, 'i');
+}
+
+// Normalize and validate one rule from the config file
+function compileRule(rule, index) {
+    const label = rule.name || `rule #${index + 1}`;
+
+    if (!rule.type) {
+        throw new Error(`Routing ${label} is missing "type"`);
+    }
+    if (!Array.isArray(rule.destinations) || rule.destinations.length === 0) {
+        throw new Error(`Routing ${label} needs at least one destination`);
+    }
+    for (const destination of rule.destinations) {
+        try {
+            sinks.validateDestination(destination);
+        } catch (err) {
+            throw new Error(`Routing ${label} has an invalid destination: ${err.message}`);
+        }
+    }
+
+    if (rule.ledger !== undefined && !['fuel', 'efs', 'none'].includes(rule.ledger)) {
+        throw new Error(`Routing ${label} has invalid "ledger" (expected fuel, efs or none)`);
+    }
+    if (rule.downloadStrategy !== undefined && !DOWNLOAD_STRATEGIES.includes(rule.downloadStrategy)) {
+        throw new Error(`Routing ${label} has invalid "downloadStrategy" (expected ${DOWNLOAD_STRATEGIES.join(', ')})`);
+    }
+
+    const matchers = {};
+    for (const [key, value] of Object.entries(rule.match || {})) {
+        if (!MATCH_KEYS.includes(key)) {
+            throw new Error(`Routing ${label} matches on unknown field "${key}" (expected one of: ${MATCH_KEYS.join(', ')})`);
+        }
+        const patterns = Array.isArray(value) ? value : [value];
+        try {
+            matchers[key] = patterns.map(p => compilePattern(String(p)));
+        } catch (err) {
+            throw new Error(`Routing ${label} has an invalid "${key}" pattern: ${err.message}`);
+        }
+    }
+
+    return {
+        name: label,
+        index,
+        match: rule.match || {},
+        matchers,
+        type: rule.type,
+        destinations: rule.destinations,
+        fields: rule.fields || {},
+        parser: rule.parser || null,
+        ledger: rule.ledger,
+        downloadStrategy: rule.downloadStrategy || null
+    };
+}
+
+// Load routing rules from a JSON file, or fall back to the built-in defaults
+function loadRoutingRules(filePath) {
+    let rawRules = DEFAULT_RULES;
+    rulesSource = 'built-in defaults';
+
+    if (filePath) {
+        const resolved = path.resolve(filePath);
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+        } catch (err) {
+            throw new Error(`Failed to load routing rules from ${resolved}: ${err.message}`);
+        }
+        rawRules = Array.isArray(parsed) ? parsed : parsed.rules;
+        if (!Array.isArray(rawRules) || rawRules.length === 0) {
+            throw new Error(`Routing rules file ${resolved} must contain a non-empty "rules" array`);
+        }
+        rulesSource = resolved;
+    }
+
+    rules = rawRules.map(compileRule);
+    console.log(`✓ Loaded ${rules.length} routing rule(s) from ${rulesSource}`);
+    return rules;
+}
+
+// A rule matches when every field it names matches at least one of its patterns
+function ruleMatches(rule, context) {
+    return Object.entries(rule.matchers).every(([key, patterns]) => {
+        const value = context[key];
+        if (!value) {
+            return false;
+        }
+        return patterns.some(pattern => pattern.test(value));
+    });
+}
+
+// Replace ${VAR} references with environment values
+function resolveEnvTemplate(value) {
+    const missing = [];
+    const resolved = String(value).replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+        if (!process.env[name]) {
+            missing.push(name);
+            return '';
+        }
+        return process.env[name];
+    });
+    return { resolved, missing };
+}
+
+// Resolve ${VAR} references in every string field of a destination. The unresolved config is
+// kept as "template" so it can be stored (dead letters) without writing secrets to disk.
+function resolveDestination(destination, index = 0) {
+    const name = destination.name || `destination-${index + 1}`;
+    const template = { ...destination, name };
+    const resolved = { ...template, type: sinks.sinkType(destination), template };
+    const missing = [];
+    for (const [key, value] of Object.entries(destination)) {
+        if (typeof value === 'string') {
+            const result = resolveEnvTemplate(value);
+            resolved[key] = result.resolved;
+            missing.push(...result.missing);
+        }
+    }
+    return { destination: resolved, missing: [...new Set(missing)] };
+}
+
+// A destination as shown by /routes/test: env resolved, secrets masked
+function describeDestination(destination, index) {
+    const { destination: resolved, missing } = resolveDestination(destination, index);
+    const described = { ...resolved, configured: missing.length === 0, missingEnv: missing };
+    delete described.template;
+    for (const field of sinks.SECRET_FIELDS) {
+        if (described[field]) {
+            described[field] = '***';
+        }
+    }
+    if (described.url === '') {
+        described.url = null;
+    }
+    return described;
+}
+
+function buildContext({ fileName, subject, from, fileType, url }) {
+    const extension = fileName ? path.extname(fileName).replace('.', '').toLowerCase() : '';
+    return {
+        fileName: fileName || '',
+        subject: subject || '',
+        from: from || '',
+        fileType: (fileType || extension || '').toLowerCase(),
+        url: url || ''
+    };
+}
+
+// Find the first matching rule without resolving destinations
+function findMatchingRule(input) {
+    const context = buildContext(input);
+    const rule = rules.find(candidate => ruleMatches(candidate, context)) || null;
+    return { rule, context };
+}
+
+// Download strategy for a link, from the first rule with a "downloadStrategy" that matches
+// using only what is known before downloading (subject, from, url). Null when none applies.
+function resolveDownloadStrategy(input) {
+    const context = buildContext(input);
+    const rule = rules.find(candidate =>
+        candidate.downloadStrategy &&
+        Object.keys(candidate.matchers).every(key => PRE_DOWNLOAD_KEYS.includes(key)) &&
+        ruleMatches(candidate, context)
+    );
+    return rule ? { strategy: rule.downloadStrategy, rule: rule.name } : null;
+}
+
+// Resolve the route for a downloaded file: report type, destinations and extra form fields
+function resolveRoute(input) {
+    const { rule, context } = findMatchingRule(input);
+    console.log(`🎯 Determining routing for file: ${context.fileName}`);
+
+    if (!rule) {
+        throw new PermanentError(`No routing rule matches file "${context.fileName}"`);
+    }
+
+    const destinations = rule.destinations.map((destination, i) => {
+        const { destination: resolved, missing } = resolveDestination(destination, i);
+        if (missing.length > 0) {
+            throw new PermanentError(`${missing.join(', ')} environment variable is not configured`);
+        }
+        return resolved;
+    });
+
+    console.log(`   ✓ Matched rule "${rule.name}"`);
+    console.log(`   Report Type: ${rule.type}`);
+    for (const destination of destinations) {
+        console.log(`   Destination [${destination.name}]: ${destination.type} ${destination.url || destination.path || destination.bucket || destination.host}`);
+    }
+
+    return {
+        rule: rule.name,
+        reportType: rule.type,
+        destinations,
+        fields: rule.fields,
+        parser: rule.parser,
+        ledger: rule.ledger
+    };
+}
+
+// Describe which rule would handle the given input, for the /routes/test endpoint
+function describeRoute(input) {
+    const { rule, context } = findMatchingRule(input);
+    if (!rule) {
+        return { matched: false, context };
+    }
+
+    return {
+        matched: true,
+        context,
+        rule: rule.name,
+        ruleIndex: rule.index,
+        match: rule.match,
+        reportType: rule.type,
+        destinations: rule.destinations.map(describeDestination),
+        fields: rule.fields,
+        parser: rule.parser,
+        ledger: rule.ledger,
+        downloadStrategy: rule.downloadStrategy
+    };
+}
+
+function getRulesSource() {
+    return rulesSource;
+}
+
+module.exports = {
+    DEFAULT_RULES,
+    DOWNLOAD_STRATEGIES,
+    compilePattern,
+    loadRoutingRules,
+    resolveRoute,
+    resolveDestination,
+    resolveDownloadStrategy,
+    describeRoute,
+    getRulesSource
+};
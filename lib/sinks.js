@@ -0,0 +1,293 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const FormData = require('form-data');
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const SftpClient = require('ssh2-sftp-client');
+const retryPolicy = require('./retry-policy');
+const metrics = require('./metrics');
+
+// Output sinks: where a routed report is delivered. A routing rule destination picks its
+// sink with "type" (multipart "webhook" when omitted). Every sink delivers with retries and
+// reports { type, status, location, retries }.
+
+const SINK_TYPES = ['webhook', 'json-webhook', 'folder', 's3', 'sftp'];
+
+const REQUIRED_FIELDS = {
+    'webhook': ['url'],
+    'json-webhook': ['url'],
+    'folder': ['path'],
+    's3': ['bucket'],
+    'sftp': ['host', 'path']
+};
+
+// Credentials that are never shown by /routes/test
+const SECRET_FIELDS = ['password', 'privateKey', 'secretAccessKey'];
+
+// Files land under <base>/<layout>/<fileName>; placeholders are filled per report
+const DEFAULT_LAYOUT = '{yyyy}/{mm}/{dd}';
+
+const config = {
+    webhookRetryPolicy: null,
+    sinkRetryPolicy: null
+};
+
+const s3Clients = new Map();
+
+function configureSinks({ webhookRetryPolicy, sinkRetryPolicy }) {
+    config.webhookRetryPolicy = webhookRetryPolicy;
+    config.sinkRetryPolicy = sinkRetryPolicy;
+}
+
+function sinkType(destination) {
+    return destination.type || 'webhook';
+}
+
+// Throws when a destination has an unknown type or is missing a required field
+function validateDestination(destination) {
+    const type = sinkType(destination);
+    if (!SINK_TYPES.includes(type)) {
+        throw new Error(`unknown destination type "${type}" (expected one of: ${SINK_TYPES.join(', ')})`);
+    }
+    for (const field of REQUIRED_FIELDS[type]) {
+        if (!destination[field]) {
+            throw new Error(`${type} destination needs "${field}"`);
+        }
+    }
+}
+
+// {yyyy}/{mm}/{dd} from the report date (or today), plus {reportType} and {rule}
+function expandLayout(template, { reportDate, reportType, rule }) {
+    const date = reportDate || new Date().toISOString().slice(0, 10);
+    const values = {
+        yyyy: date.slice(0, 4),
+        mm: date.slice(5, 7),
+        dd: date.slice(8, 10),
+        reportType: reportType || 'unknown',
+        rule: rule || 'unknown'
+    };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Relative directory a file sink writes the report to
+function layoutPath(destination, payload) {
+    const layout = destination.layout !== undefined ? destination.layout : DEFAULT_LAYOUT;
+    return expandLayout(layout, payload).replace(/^\/+|\/+$/g, '');
+}
+
+// Multipart POST, as the original webhook delivery
+async function sendMultipart(destination, { fileBuffer, fileName, contentType, reportType, conversationId, messageId, fields, data, reconciliation }) {
+    console.log(`   URL: ${destination.url}`);
+    console.log(`   Report Type: ${reportType}`);
+    console.log(`   Conversation ID: ${conversationId || 'Not provided'}`);
+    console.log(`   Message ID: ${messageId}`);
+
+    const formData = new FormData();
+
+    // Ensure buffer is properly attached with correct metadata
+    formData.append('file', fileBuffer, {
+        filename: fileName,
+        contentType,
+        knownLength: fileBuffer.length
+    });
+    formData.append('type', reportType);
+    formData.append('conversationId', conversationId || '');
+    formData.append('messageId', messageId);
+
+    // Structured report data parsed from the file, when a parser applies
+    if (data) {
+        formData.append('data', JSON.stringify(data));
+    }
+    if (reconciliation) {
+        formData.append('reconciliation', JSON.stringify(reconciliation));
+    }
+
+    // Extra form fields configured on the routing rule
+    for (const [key, value] of Object.entries(fields || {})) {
+        formData.append(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    console.log(`   FormData prepared with file: ${fileName} (${fileBuffer.length} bytes)`);
+
+    const response = await axios.post(destination.url, formData, {
+        headers: {
+            ...formData.getHeaders(),
+            'Content-Length': formData.getLengthSync()
+        },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        timeout: 30000
+    });
+    return { status: response.status, location: destination.url };
+}
+
+// JSON POST with the file as base64, for receivers that cannot take multipart
+async function sendJson(destination, { fileBuffer, fileName, contentType, fileHash, reportType, conversationId, messageId, fields, data, reconciliation }) {
+    console.log(`   URL: ${destination.url}`);
+
+    const response = await axios.post(destination.url, {
+        ...fields,
+        type: reportType,
+        conversationId: conversationId || '',
+        messageId,
+        fileName,
+        contentType,
+        fileSize: fileBuffer.length,
+        sha256: fileHash,
+        data: data || null,
+        reconciliation: reconciliation || null,
+        file: fileBuffer.toString('base64')
+    }, {
+        headers: { 'Content-Type': 'application/json' },
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        timeout: 30000
+    });
+    return { status: response.status, location: destination.url };
+}
+
+// Local or mounted folder. A different file already at the same path is kept and the new
+// one gets its hash in the name.
+async function writeToFolder(destination, payload) {
+    const dir = path.join(destination.path, layoutPath(destination, payload));
+    await fs.mkdir(dir, { recursive: true });
+
+    let target = path.join(dir, payload.fileName);
+    try {
+        const existing = await fs.readFile(target);
+        if (!existing.equals(payload.fileBuffer)) {
+            const { name, ext } = path.parse(payload.fileName);
+            target = path.join(dir, `${name}-${payload.fileHash.slice(0, 8)}${ext}`);
+        }
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+
+    const tmpPath = `${target}.tmp`;
+    await fs.writeFile(tmpPath, payload.fileBuffer);
+    await fs.rename(tmpPath, target);
+    console.log(`   Written to ${target}`);
+    return { location: target };
+}
+
+function getS3Client(destination) {
+    const key = JSON.stringify([destination.endpoint, destination.region, destination.accessKeyId]);
+    if (!s3Clients.has(key)) {
+        s3Clients.set(key, new S3Client({
+            region: destination.region || 'us-east-1',
+            endpoint: destination.endpoint || undefined,
+            // MinIO and most S3-compatible stores need path-style URLs
+            forcePathStyle: destination.forcePathStyle !== undefined ? destination.forcePathStyle !== false : !!destination.endpoint,
+            credentials: destination.accessKeyId
+                ? { accessKeyId: destination.accessKeyId, secretAccessKey: destination.secretAccessKey }
+                : undefined
+        }));
+    }
+    return s3Clients.get(key);
+}
+
+// S3 or an S3-compatible store (MinIO, R2, ...)
+async function putToS3(destination, payload) {
+    const key = path.posix.join(destination.prefix || '', layoutPath(destination, payload), payload.fileName);
+    console.log(`   Bucket: ${destination.bucket}, key: ${key}`);
+
+    try {
+        await getS3Client(destination).send(new PutObjectCommand({
+            Bucket: destination.bucket,
+            Key: key,
+            Body: payload.fileBuffer,
+            ContentType: payload.contentType,
+            Metadata: {
+                'report-type': payload.reportType || '',
+                'message-id': String(payload.messageId || ''),
+                'sha256': payload.fileHash || ''
+            }
+        }));
+    } catch (error) {
+        // Expose the HTTP status so the retry policy can tell throttling from access errors
+        const status = error.$metadata?.httpStatusCode;
+        if (status) {
+            error.response = { status, headers: {} };
+        }
+        throw error;
+    }
+    return { location: `s3://${destination.bucket}/${key}` };
+}
+
+async function uploadToSftp(destination, payload) {
+    const dir = path.posix.join(destination.path, layoutPath(destination, payload));
+    const remotePath = path.posix.join(dir, payload.fileName);
+    const sftp = new SftpClient();
+
+    try {
+        await sftp.connect({
+            host: destination.host,
+            port: parseInt(destination.port || 22),
+            username: destination.username,
+            password: destination.password || undefined,
+            privateKey: destination.privateKey || (destination.privateKeyPath ? await fs.readFile(destination.privateKeyPath) : undefined),
+            readyTimeout: 20000
+        });
+        await sftp.mkdir(dir, true);
+        await sftp.put(payload.fileBuffer, remotePath);
+    } catch (error) {
+        // Wrong credentials will not get better with retries
+        if (error.level === 'client-authentication') {
+            error.retryable = false;
+        }
+        throw error;
+    } finally {
+        await sftp.end().catch(() => {});
+    }
+
+    console.log(`   Uploaded to sftp://${destination.host}${remotePath}`);
+    return { location: `sftp://${destination.host}${remotePath}` };
+}
+
+const SENDERS = {
+    'webhook': sendMultipart,
+    'json-webhook': sendJson,
+    'folder': writeToFolder,
+    's3': putToS3,
+    'sftp': uploadToSftp
+};
+
+// Deliver a report to one destination with its sink's retry policy.
+// payload: { fileBuffer, fileName, contentType, fileHash, reportType, reportDate, rule, conversationId, messageId, fields, data, reconciliation }
+async function deliver(destination, payload, { onAttempt } = {}) {
+    const type = sinkType(destination);
+    const isWebhook = type === 'webhook' || type === 'json-webhook';
+    const policy = isWebhook ? config.webhookRetryPolicy : config.sinkRetryPolicy;
+    const label = type === 'webhook' ? 'webhook' : `${type} sink`;
+
+    try {
+        const { result, retries } = await retryPolicy.withRetry(policy, async (attempt) => {
+            console.log(`📤 Sending to ${label} [${destination.name}] (attempt ${attempt}/${policy.maxRetries + 1})...`);
+            const startedAt = Date.now();
+            try {
+                const result = await SENDERS[type](destination, payload);
+                metrics.observeDelivery(type, 'success', (Date.now() - startedAt) / 1000);
+                return result;
+            } catch (error) {
+                metrics.observeDelivery(type, 'failure', (Date.now() - startedAt) / 1000);
+                console.error(`❌ ${label} [${destination.name}] attempt ${attempt} failed: ${error.message}`);
+                throw error;
+            }
+        }, { onAttempt: onAttempt && (entry => onAttempt({ destination: destination.name, ...entry })) });
+
+        console.log(`✓ File sent successfully to ${label} [${destination.name}]${result.status ? ` (status: ${result.status})` : ''}`);
+        return { type, status: result.status || null, location: result.location, retries };
+    } catch (error) {
+        throw new Error(`Failed to send to ${label} [${destination.name}] after ${error.attempts || 1} attempt(s): ${error.message}`);
+    }
+}
+
+module.exports = {
+    SINK_TYPES,
+    SECRET_FIELDS,
+    configureSinks,
+    sinkType,
+    validateDestination,
+    expandLayout,
+    deliver
+};
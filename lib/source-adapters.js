@@ -0,0 +1,38 @@
+const missiveSource = require('./missive-source');
+const emailSource = require('./email-source');
+const { PermanentError } = require('./retry-policy');
+
+// Where a job's message comes from. Every adapter exposes loadMessage(job, { onAttempt })
+// resolving to a normalized message:
+//   { messageId, conversationId, subject, from, body, attachments: [{ name, extension, mediaType, size, url | content }] }
+// and may expose cleanup(job) to drop anything it stored for the job.
+const adapters = {
+    [missiveSource.name]: missiveSource,
+    [emailSource.name]: emailSource
+};
+
+// Jobs created before sources existed came from Missive
+function getSourceAdapter(name = missiveSource.name) {
+    const adapter = adapters[name];
+    if (!adapter) {
+        throw new PermanentError(`Unknown message source "${name}"`);
+    }
+    return adapter;
+}
+
+async function loadMessage(job, options) {
+    return getSourceAdapter(job.source).loadMessage(job, options);
+}
+
+async function cleanupSource(job) {
+    const adapter = getSourceAdapter(job.source);
+    if (adapter.cleanup) {
+        await adapter.cleanup(job);
+    }
+}
+
+module.exports = {
+    getSourceAdapter,
+    loadMessage,
+    cleanupSource
+};
@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Mirrors the "Running Totals" / "Weekly Totals" sheets driven by googleappscripts/Wex Charges.gs:
+// one fuel and one EFS amount per day, grouped into pay periods (Tuesday-Monday by default).
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const CATEGORIES = ['fuel', 'efs'];
+
+// Which ledger column a report type feeds when the routing rule does not say.
+// Itemized reports are left out so they don't double count the grand total.
+const DEFAULT_CATEGORIES = {
+    FuelReport: 'fuel',
+    EFSReport: 'efs'
+};
+
+// days["YYYY-MM-DD"] = { fuel: { amount, source, history }, efs: { ... } }
+let days = {};
+let ledgerPath = null;
+let writeChain = Promise.resolve();
+
+async function initTotalsLedger(persistentDir) {
+    ledgerPath = path.join(persistentDir, 'totals-ledger.json');
+
+    try {
+        days = JSON.parse(await fs.readFile(ledgerPath, 'utf8')).days || {};
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            console.error(`⚠️  Could not read totals ledger, starting empty: ${err.message}`);
+        }
+        days = {};
+    }
+
+    console.log(`✓ Totals ledger loaded (${Object.keys(days).length} day(s))`);
+}
+
+// A failed write rejects for the caller but does not stop later writes
+function persistLedger() {
+    const snapshot = JSON.stringify({ days }, null, 2);
+    const write = writeChain.then(async () => {
+        const tmpPath = `${ledgerPath}.tmp`;
+        await fs.writeFile(tmpPath, snapshot);
+        await fs.rename(tmpPath, ledgerPath);
+    });
+    writeChain = write.catch(err => {
+        console.error(`❌ Failed to persist totals ledger: ${err.message}`);
+    });
+    return write;
+}
+
+// Accepts 0-6 or a day name ("tuesday", "Tue")
+function parseStartDay(value, fallback = 2) {
+    if (value === undefined || value === null || value === '') {
+        return fallback;
+    }
+    if (/^[0-6]$/.test(String(value))) {
+        return parseInt(value);
+    }
+    const index = DAY_NAMES.findIndex(name => name.toLowerCase().startsWith(String(value).toLowerCase().slice(0, 3)));
+    if (index === -1) {
+        throw new Error(`Invalid pay period start day "${value}" (use 0-6 or a day name)`);
+    }
+    return index;
+}
+
+function isIsoDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+// Date math in UTC on YYYY-MM-DD strings so the server timezone never shifts a day
+function toUtcDate(isoDate) {
+    return new Date(`${isoDate}T00:00:00Z`);
+}
+
+function addDays(isoDate, count) {
+    const date = toUtcDate(isoDate);
+    date.setUTCDate(date.getUTCDate() + count);
+    return date.toISOString().slice(0, 10);
+}
+
+// Pay period containing a date, formatted like the sheet's "MM/DD - MM/DD" column
+function payPeriodFor(isoDate, startDay) {
+    const dayOfWeek = toUtcDate(isoDate).getUTCDay();
+    const daysToSubtract = (dayOfWeek - startDay + 7) % 7;
+    const start = addDays(isoDate, -daysToSubtract);
+    const end = addDays(start, 6);
+    const label = `${start.slice(5, 7)}/${start.slice(8, 10)} - ${end.slice(5, 7)}/${end.slice(8, 10)}`;
+    return { start, end, label };
+}
+
+function categoryForReport(reportType, override) {
+    if (override !== undefined && override !== null) {
+        return override === 'none' ? null : override;
+    }
+    return DEFAULT_CATEGORIES[reportType] || null;
+}
+
+// The amount a parsed report contributes to its day
+function amountFromParsed(parsed) {
+    if (!parsed || !parsed.success) return null;
+    if (parsed.grandTotal && typeof parsed.grandTotal.amount === 'number') return parsed.grandTotal.amount;
+    if (parsed.totals && typeof parsed.totals.amount === 'number') return parsed.totals.amount;
+    return null;
+}
+
+// Set a day's fuel or EFS amount; the latest report for a day replaces the previous one
+async function recordDailyAmount({ date, category, amount, source }) {
+    if (!isIsoDate(date)) {
+        throw new Error(`Invalid ledger date "${date}" (expected YYYY-MM-DD)`);
+    }
+    if (!CATEGORIES.includes(category)) {
+        throw new Error(`Invalid ledger category "${category}" (expected ${CATEGORIES.join(' or ')})`);
+    }
+
+    const day = days[date] || (days[date] = {});
+    const previous = day[category];
+    const entry = {
+        amount: Math.round(amount * 100) / 100,
+        source: { ...source, recordedAt: new Date().toISOString() },
+        history: previous ? [...(previous.history || []), { amount: previous.amount, source: previous.source }] : []
+    };
+    day[category] = entry;
+
+    console.log(`📒 Ledger ${date} ${category}: $${entry.amount.toFixed(2)}${previous ? ` (was $${previous.amount.toFixed(2)})` : ''}`);
+    await persistLedger();
+    return entry;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// Daily rows matching the sheet's Running Totals columns
+function getDailyTotals({ from, to, startDay = 2 } = {}) {
+    return Object.keys(days)
+        .filter(date => (!from || date >= from) && (!to || date <= to))
+        .sort()
+        .map(date => {
+            const fuel = days[date].fuel ? days[date].fuel.amount : 0;
+            const efs = days[date].efs ? days[date].efs.amount : 0;
+            const period = payPeriodFor(date, startDay);
+            return {
+                date,
+                dayOfWeek: DAY_NAMES[toUtcDate(date).getUTCDay()],
+                fuel,
+                efs,
+                wex: round(fuel + efs),
+                payPeriod: period.label,
+                payPeriodStart: period.start,
+                payPeriodEnd: period.end
+            };
+        });
+}
+
+// Weekly rows matching the sheet's Weekly Totals columns, oldest pay period first
+function getWeeklyTotals(options = {}) {
+    const weeks = new Map();
+    for (const day of getDailyTotals(options)) {
+        if (!weeks.has(day.payPeriodStart)) {
+            weeks.set(day.payPeriodStart, {
+                week: day.payPeriod,
+                start: day.payPeriodStart,
+                end: day.payPeriodEnd,
+                fuel: 0,
+                efs: 0,
+                wex: 0,
+                days: 0
+            });
+        }
+        const week = weeks.get(day.payPeriodStart);
+        week.fuel = round(week.fuel + day.fuel);
+        week.efs = round(week.efs + day.efs);
+        week.wex = round(week.wex + day.wex);
+        week.days++;
+    }
+    return Array.from(weeks.values()).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+function getDay(date) {
+    return days[date] || null;
+}
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'number' ? value.toFixed(2) : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Render rows as CSV using [header, key] column pairs
+function toCsv(rows, columns) {
+    const lines = [columns.map(([header]) => csvValue(header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(([, key]) => csvValue(row[key])).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    DAY_NAMES,
+    CATEGORIES,
+    initTotalsLedger,
+    parseStartDay,
+    isIsoDate,
+    payPeriodFor,
+    categoryForReport,
+    amountFromParsed,
+    recordDailyAmount,
+    getDailyTotals,
+    getWeeklyTotals,
+    getDay,
+    toCsv
+};
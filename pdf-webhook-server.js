@@ -1,11 +1,42 @@
 require('dotenv').config();
+const logger = require('./lib/logger');
+
+// Structured logging first, so every line from here on is leveled, tagged and redacted
+logger.configureLogger({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'json'
+});
+logger.installConsole();
+
 const express = require('express');
-const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const axios = require('axios');
-const FormData = require('form-data');
+const jobStore = require('./lib/job-store');
+const dedupeLedger = require('./lib/dedupe-ledger');
+const auth = require('./lib/auth');
+const routing = require('./lib/routing');
+const contentDetection = require('./lib/content-detection');
+const reportParser = require('./lib/report-parser');
+const totalsLedger = require('./lib/totals-ledger');
+const deadLetterStore = require('./lib/dead-letter-store');
+const retryPolicy = require('./lib/retry-policy');
+const browserPool = require('./lib/browser-pool');
+const httpDownloader = require('./lib/http-downloader');
+const portalSession = require('./lib/portal-session');
+const reportSources = require('./lib/report-sources');
+const sourceAdapters = require('./lib/source-adapters');
+const missiveSource = require('./lib/missive-source');
+const emailSource = require('./lib/email-source');
+const sinks = require('./lib/sinks');
+const missiveNotifier = require('./lib/missive-notifier');
+const metrics = require('./lib/metrics');
+const alerts = require('./lib/alerts');
+const reportMonitor = require('./lib/report-monitor');
+const backfill = require('./lib/backfill');
+const reconciliation = require('./lib/reconciliation');
+const reportArchive = require('./lib/report-archive');
+const diagnostics = require('./lib/diagnostics');
 
 const app = express();
 
@@ -14,10 +45,33 @@ const PORT = process.env.PORT || 3053;
 const PERSISTENT_DIR = process.env.PERSISTENT_DIR || path.join(os.tmpdir(), 'wexdownloader-temp');
 const HEADLESS = process.env.HEADLESS !== 'false'; // Default true unless explicitly set to false
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '3');
+const BROWSER_MAX_CONTEXTS = parseInt(process.env.BROWSER_MAX_CONTEXTS || '3');
+const BROWSER_QUEUE_TIMEOUT_MS = parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS || '300000');
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '3');
+const DOWNLOAD_STRATEGY = process.env.DOWNLOAD_STRATEGY || 'auto';
+const FLEETONE_LOGIN_URL = process.env.FLEETONE_LOGIN_URL || 'https://manage.fleetone.com/';
+const FLEETONE_USERNAME = process.env.FLEETONE_USERNAME;
+const FLEETONE_PASSWORD = process.env.FLEETONE_PASSWORD;
 const MISSIVE_API_KEY = process.env.MISSIVE_API_KEY;
+const MISSIVE_POST_RESULTS = process.env.MISSIVE_POST_RESULTS !== 'false'; // Default true unless explicitly set to false
+const MISSIVE_CLOSE_ON_SUCCESS = process.env.MISSIVE_CLOSE_ON_SUCCESS === 'true';
 const FUELREPORTWEBHOOK = process.env.FUELREPORTWEBHOOK;
 const EFSREPORTWEBHOOK = process.env.EFSREPORTWEBHOOK;
-const RETRY_DELAY = 2000; // 2 seconds
+const MISSIVE_WEBHOOK_SECRET = process.env.MISSIVE_WEBHOOK_SECRET;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+const ROUTING_RULES_FILE = process.env.ROUTING_RULES_FILE;
+const PAY_PERIOD_START_DAY = totalsLedger.parseStartDay(process.env.PAY_PERIOD_START_DAY); // Default Tuesday
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || '30');
+const SYNC_WAIT_TIMEOUT_MS = parseInt(process.env.SYNC_WAIT_TIMEOUT_MS || '120000');
+const SHUTDOWN_GRACE_PERIOD_MS = parseInt(process.env.SHUTDOWN_GRACE_PERIOD_MS || '25000');
+
+// Retry policies per stage; each falls back to MAX_RETRIES and the shared RETRY_* settings
+const DOWNLOAD_RETRY_POLICY = retryPolicy.policyFromEnv('download', 'DOWNLOAD');
+const MISSIVE_RETRY_POLICY = retryPolicy.policyFromEnv('Missive fetch', 'MISSIVE', { baseDelayMs: 1000 });
+const WEBHOOK_RETRY_POLICY = retryPolicy.policyFromEnv('webhook delivery', 'WEBHOOK');
+const SINK_RETRY_POLICY = retryPolicy.policyFromEnv('sink delivery', 'SINK');
+const ALERT_RETRY_POLICY = retryPolicy.policyFromEnv('alert delivery', 'ALERT', { maxRetries: 2 });
 
 // Validate required environment variables
 if (!MISSIVE_API_KEY) {
@@ -25,10 +79,142 @@ if (!MISSIVE_API_KEY) {
     console.warn('⚠️  Please set MISSIVE_API_KEY in your .env file or environment variables.');
 }
 
-// Global browser instance that stays running
-let globalBrowser = null;
+if (!MISSIVE_WEBHOOK_SECRET) {
+    console.warn('⚠️  WARNING: MISSIVE_WEBHOOK_SECRET is not set. Webhook signatures will not be verified.');
+}
+
+if (!ADMIN_API_KEY) {
+    console.warn('⚠️  WARNING: ADMIN_API_KEY is not set. Admin endpoints are open to anyone who can reach the server.');
+}
+
+if (!routing.DOWNLOAD_STRATEGIES.includes(DOWNLOAD_STRATEGY)) {
+    throw new Error(`Invalid DOWNLOAD_STRATEGY "${DOWNLOAD_STRATEGY}" (expected ${routing.DOWNLOAD_STRATEGIES.join(', ')})`);
+}
+
+// Load routing rules up front so a bad rules file fails the boot, not the first report
+routing.loadRoutingRules(ROUTING_RULES_FILE);
+
+// Shared browser with a limited number of concurrent contexts
+browserPool.configureBrowserPool({
+    headless: HEADLESS,
+    maxContexts: BROWSER_MAX_CONTEXTS,
+    queueTimeoutMs: BROWSER_QUEUE_TIMEOUT_MS
+});
+
+// Missive is the source for /processreport jobs
+missiveSource.configureMissiveSource({
+    apiKey: MISSIVE_API_KEY,
+    retryPolicy: MISSIVE_RETRY_POLICY
+});
+
+// Job outcomes are posted back to the Missive conversation, with a label per outcome
+missiveNotifier.configureMissiveNotifier({
+    enabled: MISSIVE_POST_RESULTS,
+    apiKey: MISSIVE_API_KEY,
+    retryPolicy: MISSIVE_RETRY_POLICY,
+    username: process.env.MISSIVE_POST_USERNAME,
+    processedLabel: process.env.MISSIVE_PROCESSED_LABEL ?? 'wex-processed',
+    failedLabel: process.env.MISSIVE_FAILED_LABEL ?? 'wex-failed',
+    closeOnSuccess: MISSIVE_CLOSE_ON_SUCCESS,
+    organization: process.env.MISSIVE_ORGANIZATION_ID
+});
+
+// Backfill runs list past Missive conversations, at most one API call per interval
+backfill.configureBackfill({
+    apiKey: MISSIVE_API_KEY,
+    retryPolicy: MISSIVE_RETRY_POLICY,
+    requestIntervalMs: parseInt(process.env.BACKFILL_REQUEST_INTERVAL_MS || '1000')
+});
+
+// Webhook destinations keep the webhook policy; folder, S3 and SFTP sinks use SINK_*
+sinks.configureSinks({
+    webhookRetryPolicy: WEBHOOK_RETRY_POLICY,
+    sinkRetryPolicy: SINK_RETRY_POLICY
+});
+
+// Which links in a message are reports, and which attachments to pick up
+reportSources.configureReportSources({
+    linkPatterns: process.env.DOWNLOAD_LINK_PATTERNS,
+    attachmentExtensions: process.env.ATTACHMENT_EXTENSIONS
+});
+
+// Optional FleetOne portal login for report links that require one
+portalSession.configurePortalSession({
+    persistentDir: PERSISTENT_DIR,
+    loginUrl: FLEETONE_LOGIN_URL,
+    username: FLEETONE_USERNAME,
+    password: FLEETONE_PASSWORD,
+    selectors: {
+        username: process.env.FLEETONE_USERNAME_SELECTOR,
+        password: process.env.FLEETONE_PASSWORD_SELECTOR,
+        submit: process.env.FLEETONE_SUBMIT_SELECTOR
+    }
+});
+
+// Missed-report and failure alerts, by notification webhook and/or SMTP
+alerts.configureAlerts({
+    webhookUrl: process.env.ALERT_WEBHOOK_URL,
+    smtp: {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        password: process.env.SMTP_PASSWORD,
+        from: process.env.ALERT_EMAIL_FROM || process.env.SMTP_USER,
+        to: process.env.ALERT_EMAIL_TO
+    },
+    retryPolicy: ALERT_RETRY_POLICY
+});
+
+// Expected reports are loaded up front so a bad file fails the boot
+reportMonitor.configureReportMonitor({
+    expectations: reportMonitor.loadExpectations({
+        filePath: process.env.REPORT_EXPECTATIONS_FILE,
+        json: process.env.REPORT_EXPECTATIONS
+    }),
+    timezone: process.env.MONITOR_TIMEZONE,
+    digestTime: process.env.DIGEST_TIME,
+    intervalMs: parseInt(process.env.MONITOR_INTERVAL_MS || '60000'),
+    alertOnJobFailure: process.env.ALERT_ON_JOB_FAILURE !== 'false'
+});
+
+// Itemized vs grand-total fuel report checks; bad settings fail the boot
+reconciliation.configureReconciliation({
+    tolerance: parseFloat(process.env.RECONCILIATION_TOLERANCE || '0.01'),
+    gallonLimit: parseFloat(process.env.CARD_GALLON_LIMIT),
+    cardGallonLimits: process.env.CARD_GALLON_LIMITS,
+    allowedHours: process.env.ALLOWED_PURCHASE_HOURS
+});
+
+// Optional archive of every handled report, by content hash
+reportArchive.configureReportArchive({
+    enabled: process.env.ARCHIVE_ENABLED === 'true',
+    retentionDays: parseInt(process.env.ARCHIVE_RETENTION_DAYS || '90'),
+    pruneIntervalMs: parseInt(process.env.ARCHIVE_PRUNE_INTERVAL_MS || '3600000')
+});
+
+// Optional trace, screenshot, HTML and network log of failed browser download attempts
+diagnostics.configureDiagnostics({
+    enabled: process.env.DIAGNOSTICS_ENABLED === 'true',
+    trace: process.env.DIAGNOSTICS_TRACE !== 'false',
+    maxFileBytes: parseFloat(process.env.DIAGNOSTICS_MAX_FILE_MB || '5') * 1024 * 1024,
+    maxTotalBytes: parseFloat(process.env.DIAGNOSTICS_MAX_TOTAL_MB || '200') * 1024 * 1024,
+    retentionDays: parseInt(process.env.DIAGNOSTICS_RETENTION_DAYS || '14')
+});
+
+// Point-in-time values read on every /metrics scrape
+metrics.addGauge('wex_jobs_in_progress', 'Jobs that are queued or running', () => jobStore.listUnfinishedJobs().length);
+metrics.addGauge('wex_browser_contexts_active', 'Browser contexts in use', () => browserPool.getPoolStats().activeContexts);
+metrics.addGauge('wex_browser_queue_length', 'Downloads waiting for a browser context', () => browserPool.getPoolStats().queued);
+metrics.addGauge('wex_dead_letters', 'Deliveries waiting in the dead-letter store', () => deadLetterStore.listDeadLetters().length);
 
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({ limit: '50mb', verify: auth.captureRawBody }));
+
+// Authentication middleware for inbound webhooks and admin endpoints
+const verifyMissiveWebhook = auth.verifyMissiveSignature(MISSIVE_WEBHOOK_SECRET);
+const requireAdmin = auth.requireAdminKey(ADMIN_API_KEY);
+// Prometheus scrapes with its own bearer token when METRICS_TOKEN is set, else with the admin key
+const requireMetricsToken = METRICS_TOKEN ? auth.requireAdminKey(METRICS_TOKEN) : requireAdmin;
 
 // Ensure persistent directory exists
 async function ensurePersistentDir() {
@@ -41,248 +227,371 @@ async function ensurePersistentDir() {
     }
 }
 
-// Initialize browser on startup
-async function initBrowser() {
-    if (!globalBrowser) {
-        console.log(`Initializing browser (headless: ${HEADLESS})...`);
-        globalBrowser = await chromium.launch({
-            headless: HEADLESS
-        });
-        console.log('✓ Browser initialized and ready');
+// Remove download-* temp directories left behind by a run that crashed or was killed. Runs at
+// startup, before any job is resumed, so none of them can still be in use.
+async function sweepStaleTempDirs() {
+    let removed = 0;
+    for (const entry of await fs.readdir(PERSISTENT_DIR, { withFileTypes: true })) {
+        if (!entry.isDirectory() || !entry.name.startsWith('download-')) continue;
+        try {
+            await fs.rm(path.join(PERSISTENT_DIR, entry.name), { recursive: true, force: true });
+            removed++;
+        } catch (err) {
+            console.error(`   Error deleting stale temp directory ${entry.name}: ${err.message}`);
+        }
+    }
+    if (removed > 0) {
+        console.log(`🧹 Removed ${removed} stale temp director${removed === 1 ? 'y' : 'ies'} from an earlier run`);
     }
-    return globalBrowser;
 }
 
-// Ensure browser is closed on process exit
-process.on('SIGINT', async () => {
-    console.log('\nShutting down gracefully...');
-    if (globalBrowser) {
-        await globalBrowser.close();
-    }
-    process.exit(0);
-});
+// Jobs running in this process, by ID, so shutdown can wait for them
+const activeJobs = new Map();
+let draining = false;
 
-process.on('SIGTERM', async () => {
-    if (globalBrowser) {
-        await globalBrowser.close();
-    }
-    process.exit(0);
-});
+// Jobs requeued by shutdown while still running. Whatever they do until the process exits
+// (the browser closing under them makes them fail) must not overwrite the requeue.
+const interruptedJobs = new Set();
 
-// Fetch message details from Missive API
-async function fetchMissiveMessage(messageId) {
-    if (!MISSIVE_API_KEY) {
-        throw new Error('MISSIVE_API_KEY is not configured');
+// New work is turned away once shutdown has started; the sender should retry elsewhere or later
+function rejectWhileDraining(req, res, next) {
+    if (!draining) {
+        return next();
     }
+    console.warn(`🚫 Rejected ${req.method} ${req.path} - server is shutting down`);
+    res.set('Retry-After', '30');
+    res.status(503).json({
+        error: 'Server is shutting down',
+        details: 'Not accepting new work; retry shortly',
+        timestamp: new Date().toISOString()
+    });
+}
 
-    const url = `https://public.missiveapp.com/v1/messages/${messageId}?includeBody=true&includeConversation=true`;
-    console.log(`📡 Fetching message from Missive API...`);
-    console.log(`   URL: ${url}`);
+// On SIGINT/SIGTERM: stop taking new work, give running jobs up to SHUTDOWN_GRACE_PERIOD_MS
+// to finish, requeue the rest so the next start resumes them, then close the browser.
+// A second signal exits at once.
+async function shutdown(signal) {
+    if (draining) {
+        console.warn(`⚠️  ${signal} received again - exiting without waiting`);
+        process.exit(1);
+    }
+    draining = true;
+    console.log(`\n🛑 ${signal} received - draining ${activeJobs.size} active job(s) (grace period ${Math.round(SHUTDOWN_GRACE_PERIOD_MS / 1000)}s)...`);
     
-    try {
-        const response = await axios.get(url, {
-            headers: {
-                'Authorization': `Bearer ${MISSIVE_API_KEY}`,
-                'Accept': 'application/json'
-            },
-            timeout: 10000
-        });
-        
-        console.log('✓ Successfully fetched message details from Missive');
-        
-        // Log the structure for debugging
-        if (response.data?.messages) {
-            if (typeof response.data.messages === 'object' && !Array.isArray(response.data.messages)) {
-                console.log('   Messages is an object (single message)');
-                if (response.data.messages.body) {
-                    console.log('   Message body found in messages.body');
-                    // Log first 200 chars of body for debugging
-                    const bodyPreview = response.data.messages.body.substring(0, 200);
-                    console.log(`   Body preview: ${bodyPreview}...`);
-                }
-            } else if (Array.isArray(response.data.messages)) {
-                console.log(`   Messages is an array with ${response.data.messages.length} item(s)`);
-            }
-        } else {
-            console.log('   Response structure:', Object.keys(response.data));
-        }
-        
-        return response.data;
-    } catch (error) {
-        console.error('❌ Failed to fetch from Missive API:', error.message);
-        if (error.response) {
-            console.error('   Response status:', error.response.status);
-            console.error('   Response data:', JSON.stringify(error.response.data).substring(0, 200));
-        }
-        throw new Error(`Failed to fetch message from Missive: ${error.message}`);
-    }
-}
-
-// Extract download URL from message body
-function extractDownloadUrl(messageData) {
-    console.log('🔍 Extracting URL from message body...');
-    
-    let body = '';
-    
-    // Check for body in different possible locations based on Missive API response structure
-    // The API returns { messages: { body: "..." } } where messages is an OBJECT not array
-    if (messageData.messages && typeof messageData.messages === 'object' && !Array.isArray(messageData.messages)) {
-        // messages is an object (single message)
-        body = messageData.messages.body || '';
-        console.log('   Found body in messages.body (object format)');
-    } else if (messageData.messages && Array.isArray(messageData.messages) && messageData.messages.length > 0) {
-        // messages is an array (multiple messages)
-        body = messageData.messages[0].body || '';
-        console.log('   Found body in messages[0].body (array format)');
-    } else if (messageData.message?.body) {
-        body = messageData.message.body;
-        console.log('   Found body in message.body');
-    } else if (messageData.body) {
-        body = messageData.body;
-        console.log('   Found body in root body');
-    }
-    
-    if (!body) {
-        console.error('❌ No message body found in response');
-        console.error('   Available keys:', Object.keys(messageData));
-        throw new Error('No message body found in Missive response');
-    }
-    
-    // Primary method: Extract href URL and decode HTML entities
-    const hrefMatch = body.match(/href="([^"]+)"/);
-    if (hrefMatch && hrefMatch[1]) {
-        // Decode HTML entities (especially &amp; to &)
-        let url = hrefMatch[1].replace(/&amp;/g, '&');
-        console.log(`✓ Extracted download URL: ${url}`);
-        return url;
-    }
-    
-    // Fallback patterns if href extraction fails
-    console.log('   Primary extraction failed, trying fallback patterns...');
-    const patterns = [
-        /Download at:\s*<a[^>]*href="([^"]+)"/i,
-        /https:\/\/manage\.fleetone\.com\/[^\s"'<>]+getJobFile[^\s"'<>]+/gi,
-        /(https?:\/\/[^\s"'<>]+\.pdf[^\s"'<>]*)/gi
-    ];
-    
-    for (const pattern of patterns) {
-        const matches = body.match(pattern);
-        if (matches) {
-            let url = matches[1] || matches[0];
-            // Decode HTML entities
-            url = url.replace(/&amp;/g, '&');
-            console.log(`✓ Extracted download URL (fallback): ${url}`);
-            return url;
-        }
-    }
-    
-    // Log the body for debugging if no URL found
-    console.error('❌ Could not find URL in message body');
-    console.error('   Body content (first 500 chars):');
-    console.error('   ' + body.substring(0, 500));
-    throw new Error('No download URL found in message body');
-}
-
-// Determine webhook URL and type based on filename
-function determineWebhookConfig(fileName) {
-    console.log(`🎯 Determining webhook routing for file: ${fileName}`);
-
-    let webhookUrl;
-    let reportType;
-
-    const lowerFileName = fileName.toLowerCase();
-
-    if (lowerFileName.includes('grandtotalreport') || lowerFileName.startsWith('transactionreport')) {
-        webhookUrl = FUELREPORTWEBHOOK;
-        reportType = 'FuelReport';
-        if (lowerFileName.includes('grandtotalreport')) {
-            console.log('   ✓ File contains "GrandTotalReport" - routing to FUELREPORTWEBHOOK');
-        } else {
-            console.log('   ✓ File starts with "TransactionReport" - routing to FUELREPORTWEBHOOK');
+    backfill.stopBackfills();
+    reportMonitor.stopReportMonitor();
+    reportArchive.stopReportArchive();
+    diagnostics.stopDiagnostics();
+    
+    let timer;
+    await Promise.race([
+        Promise.all(Array.from(activeJobs.values())),
+        new Promise(resolve => {
+            timer = setTimeout(resolve, SHUTDOWN_GRACE_PERIOD_MS);
+        })
+    ]);
+    clearTimeout(timer);
+    
+    // Jobs still going are cut off; put them back in the queue for the next start
+    for (const job of jobStore.listUnfinishedJobs()) {
+        interruptedJobs.add(job.id);
+        try {
+            await jobStore.setJobState(job.id, 'queued', { interruptedAt: new Date().toISOString() });
+            console.warn(`   Job ${job.id} did not finish in time - requeued for the next start`);
+        } catch (error) {
+            console.error(`   Could not requeue job ${job.id}: ${error.message}`);
         }
-    } else if (lowerFileName === 'enhancedtransactionreport.csv') {
-        webhookUrl = FUELREPORTWEBHOOK;
-        reportType = 'ItemizedFuelReport';
-        console.log('   ✓ File is "EnhancedTransactionReport.csv" - routing to FUELREPORTWEBHOOK as ItemizedFuelReport');
-    } else {
-        webhookUrl = EFSREPORTWEBHOOK;
-        reportType = 'EFSReport';
-        console.log('   ✓ File does not match Fuel Report patterns - routing to EFSREPORTWEBHOOK');
     }
-
-    if (!webhookUrl) {
-        const envVar = reportType === 'FuelReport' || reportType === 'ItemizedFuelReport' ? 'FUELREPORTWEBHOOK' : 'EFSREPORTWEBHOOK';
-        throw new Error(`${envVar} environment variable is not configured`);
+    
+    try {
+        await browserPool.closeBrowser();
+    } catch (error) {
+        console.error(`   Error closing browser: ${error.message}`);
     }
-
-    console.log(`   Webhook URL: ${webhookUrl}`);
-    console.log(`   Report Type: ${reportType}`);
-
-    return { webhookUrl, reportType };
+    console.log('👋 Shutdown complete');
+    process.exit(0);
 }
 
-async function downloadWithRetry(page, url, tempDir, retries = 0) {
-    try {
-        console.log(`📥 Download attempt ${retries + 1}/${MAX_RETRIES + 1}`);
-        console.log(`   URL: ${url}`);
-        
-        // Set up download handler before navigation
-        const downloadPromise = page.waitForEvent('download', { timeout: 30000 });
-        
-        // Navigate to the URL
-        page.goto(url, { 
-            waitUntil: 'commit',
-            timeout: 30000 
-        }).catch(err => {
-            // Ignore navigation errors for direct downloads
-            console.log('   Navigation completed (direct download expected)');
-        });
-        
-        // Wait for download to start
-        const download = await downloadPromise;
-        
-        // Wait for download to complete and save to our directory
-        const fileName = download.suggestedFilename();
-        const targetPath = path.join(tempDir, fileName);
-        
-        // Save the download to our target path
-        await download.saveAs(targetPath);
-        
-        console.log(`✓ Downloaded file: ${fileName}`);
-        console.log(`   Saved to: ${targetPath}`);
-        
-        // Verify file exists and has content
-        const stats = await fs.stat(targetPath);
-        console.log(`   File size: ${(stats.size / 1024).toFixed(2)} KB`);
-        
-        if (stats.size === 0) {
-            throw new Error('Downloaded file is empty');
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Download the file behind a URL with the browser, retrying per DOWNLOAD_RETRY_POLICY
+async function downloadWithRetry(page, url, tempDir, { onAttempt, recorder, jobId } = {}) {
+    let loggedIn = false;
+    const { result, retries } = await retryPolicy.withRetry(DOWNLOAD_RETRY_POLICY, async (attempt) => {
+        if (recorder) {
+            await recorder.beginAttempt();
         }
         
-        return { downloadPath: targetPath, fileName };
-        
-    } catch (error) {
-        console.error(`❌ Download attempt ${retries + 1} failed: ${error.message}`);
-        
-        if (retries < MAX_RETRIES) {
-            console.log(`   Retrying in ${RETRY_DELAY/1000} seconds...`);
-            await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-            
-            // Refresh the page before retry
+        // Refresh the page before a retry
+        if (attempt > 1) {
             try {
                 await page.reload({ timeout: 5000 });
                 console.log('   Page reloaded for retry');
             } catch (reloadError) {
                 console.log('   Page reload failed, continuing with retry');
             }
+        }
+        
+        try {
+            console.log(`📥 Download attempt ${attempt}/${DOWNLOAD_RETRY_POLICY.maxRetries + 1}`);
+            console.log(`   URL: ${url}`);
+            
+            // Set up download handler before navigation
+            const downloadPromise = page.waitForEvent('download', { timeout: 30000 });
+            downloadPromise.catch(() => {});
+            
+            // Navigate to the URL
+            page.goto(url, { 
+                waitUntil: 'commit',
+                timeout: 30000 
+            }).catch(err => {
+                // Ignore navigation errors for direct downloads
+                console.log('   Navigation completed (direct download expected)');
+            });
+            
+            // Wait for download to start, or for the portal to ask for a login instead
+            const loginPage = portalSession.waitForLoginPage(page, 30000);
+            let outcome;
+            try {
+                outcome = await Promise.race([
+                    downloadPromise.then(download => ({ download })),
+                    loginPage.promise.then(found => (found ? { loginRequired: true } : downloadPromise.then(download => ({ download }))))
+                ]);
+            } finally {
+                loginPage.stop();
+            }
+            
+            if (outcome.loginRequired) {
+                console.log('🔒 Report link opened the portal login page');
+                portalSession.markSessionInvalid();
+                if (loggedIn) {
+                    throw new retryPolicy.PermanentError('Report link still opens the login page after logging in to the portal');
+                }
+                // The login types the portal password in this context; it must not be traced
+                if (recorder) {
+                    await recorder.discardAttempt();
+                }
+                await portalSession.login(page.context());
+                loggedIn = true;
+                const retryError = new Error('Portal session had expired - logged in again, retrying download');
+                retryError.loginRetry = true;
+                throw retryError;
+            }
+            const download = outcome.download;
+            
+            // Wait for download to complete and save to our directory
+            const fileName = download.suggestedFilename();
+            const targetPath = path.join(tempDir, fileName);
+            
+            // Save the download to our target path
+            await download.saveAs(targetPath);
+            
+            console.log(`✓ Downloaded file: ${fileName}`);
+            console.log(`   Saved to: ${targetPath}`);
+            
+            // Verify file exists and has content
+            const stats = await fs.stat(targetPath);
+            console.log(`   File size: ${(stats.size / 1024).toFixed(2)} KB`);
+            
+            if (stats.size === 0) {
+                throw new Error('Downloaded file is empty');
+            }
+            
+            // Reject login/error pages and truncated files so they are retried, not forwarded
+            const fileInfo = contentDetection.validateReport(await fs.readFile(targetPath), fileName);
+            portalSession.markSessionValid();
+            
+            return { downloadPath: targetPath, fileName, fileInfo };
+            
+        } catch (error) {
+            console.error(`❌ Download attempt ${attempt} failed: ${error.message}`);
+            
+            // Keep what the page showed, so a failure can be told apart without re-running it.
+            // The planned retry after a portal login is not a failure.
+            if (recorder && !error.loginRetry) {
+                const capture = await recorder.captureFailure({ attempt, error });
+                if (capture) {
+                    await jobStore.recordDiagnostics(jobId, summarizeCapture(capture)).catch(() => {});
+                }
+            }
             
-            return downloadWithRetry(page, url, tempDir, retries + 1);
+            // A closed page means the context or browser is gone; retrying on it cannot work
+            if (page.isClosed()) {
+                error.retryable = false;
+            }
+            throw error;
         }
-        throw error;
+    }, { onAttempt });
+    
+    return { ...result, retries };
+}
+
+// A diagnostics capture as listed on its job, with links to its files
+function summarizeCapture(capture) {
+    const base = `/jobs/${capture.jobId}/diagnostics/${capture.id}`;
+    return {
+        id: capture.id,
+        file: capture.file,
+        attempt: capture.attempt,
+        error: capture.error,
+        url: capture.url,
+        files: Object.fromEntries(capture.files.map(entry => [entry.name, `${base}/${entry.name}`])),
+        skipped: capture.skipped,
+        problems: capture.problems,
+        size: capture.size,
+        capturedAt: capture.capturedAt
+    };
+}
+
+// Fetch a report link with the given strategy. "auto" tries plain HTTP first and falls back
+// to the browser (carrying over any cookies) when the link serves a page instead of a file.
+async function downloadReport(url, tempDir, strategy, { onAttempt, diagnosticsFor } = {}) {
+    let fallbackReason = null;
+    let cookies = [];
+
+    if (strategy !== 'browser') {
+        try {
+            const result = await httpDownloader.downloadDirect(url, tempDir, { onAttempt, cookies: portalSession.getCookies() });
+            return { ...result, strategy: 'direct' };
+        } catch (error) {
+            if (strategy === 'direct') {
+                throw error;
+            }
+            fallbackReason = error.message;
+            cookies = error.cookies || [];
+            console.log(`   Direct download did not produce a report (${error.message}) - falling back to browser`);
+        }
+    }
+
+    // Browser download in a pooled context (waits for a free slot), signed in when a portal session is stored
+    const result = await browserPool.withContext({
+        acceptDownloads: true,
+        downloadsPath: tempDir,
+        storageState: portalSession.getStorageState()
+    }, async (context) => {
+        if (cookies.length > 0) {
+            await context.addCookies(cookies);
+        }
+        const page = await context.newPage();
+        const recorder = diagnosticsFor ? diagnostics.createRecorder(context, page, diagnosticsFor) : null;
+        try {
+            return await downloadWithRetry(page, url, tempDir, { onAttempt, recorder, jobId: diagnosticsFor?.jobId });
+        } finally {
+            if (recorder) {
+                await recorder.finish();
+            }
+        }
+    });
+    return { ...result, strategy: 'browser', fallbackReason };
+}
+
+// Acknowledge a message that was already delivered or is still being processed.
+// Returns true when a response was sent.
+function respondIfDuplicate(res, messageId) {
+    const processed = dedupeLedger.findByMessageId(messageId);
+    if (processed) {
+        console.log(`♻️  Message ${messageId} already processed by job ${processed.jobId} - skipping`);
+        res.status(200).json({
+            success: true,
+            alreadyProcessed: true,
+            message: 'Message already processed',
+            messageId: messageId,
+            original: {
+                ...processed,
+                statusUrl: `/jobs/${processed.jobId}`
+            },
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+    
+    const inFlight = jobStore.listUnfinishedJobs().find(existing => existing.messageId === messageId);
+    if (inFlight) {
+        console.log(`♻️  Message ${messageId} is already being processed by job ${inFlight.id} - skipping`);
+        res.status(200).json({
+            success: true,
+            alreadyProcessing: true,
+            message: 'Message is already being processed',
+            jobId: inFlight.id,
+            status: inFlight.state,
+            statusUrl: `/jobs/${inFlight.id}`,
+            messageId: messageId,
+            timestamp: new Date().toISOString()
+        });
+        return true;
+    }
+    
+    return false;
+}
+
+// ?wait=true (or "wait": true in the body) holds the response until the job finishes,
+// for at most SYNC_WAIT_TIMEOUT_MS or a shorter ?timeout=<seconds>. Null when not waiting.
+function parseWaitOptions(req, body) {
+    if (req.query.wait !== 'true' && body?.wait !== true) {
+        return null;
+    }
+    const requestedMs = parseInt(req.query.timeout) * 1000;
+    return { timeoutMs: requestedMs > 0 ? Math.min(requestedMs, SYNC_WAIT_TIMEOUT_MS) : SYNC_WAIT_TIMEOUT_MS };
+}
+
+// The final outcome of a job, with the first file's details at the top level
+function describeJobResult(job) {
+    const succeeded = job.state === 'succeeded';
+    const files = job.files || job.result?.files || [];
+    const [first] = files;
+    return {
+        success: succeeded,
+        message: succeeded ? 'File downloaded and sent successfully' : 'Processing failed',
+        jobId: job.id,
+        status: job.state,
+        statusUrl: `/jobs/${job.id}`,
+        messageId: job.messageId,
+        conversationId: job.conversationId || null,
+        fileName: first?.fileName || null,
+        fileSize: first?.fileSize || null,
+        webhookResponse: first?.webhookResponse ?? null,
+        downloadRetries: first?.downloadRetries ?? null,
+        webhookRetries: first?.webhookRetries ?? null,
+        fileCount: files.length,
+        alreadyProcessed: job.result?.alreadyProcessed || false,
+        files,
+        error: job.error || null,
+        timestamp: new Date().toISOString()
+    };
+}
+
+// Run the job and answer with its result: 200 when it succeeded, 500 when it failed, or
+// 202 with the job to poll when it is still running at the timeout (it keeps running)
+async function runJobAndRespond(res, job, { timeoutMs }) {
+    console.log(`⏱️  Waiting up to ${Math.round(timeoutMs / 1000)}s for job ${job.id} to finish`);
+    let timer;
+    const timedOut = await Promise.race([
+        runJob(job).then(() => false, () => false),
+        new Promise(resolve => {
+            timer = setTimeout(() => resolve(true), timeoutMs);
+        })
+    ]);
+    clearTimeout(timer);
+    
+    const current = jobStore.getJob(job.id) || job;
+    if (timedOut) {
+        console.log(`⏱️  Job ${job.id} still ${current.state} after ${Math.round(timeoutMs / 1000)}s - answering with its status`);
+        return res.status(202).json({
+            success: true,
+            timedOut: true,
+            message: `Job still running after ${Math.round(timeoutMs / 1000)}s`,
+            jobId: job.id,
+            status: current.state,
+            statusUrl: `/jobs/${job.id}`,
+            messageId: job.messageId,
+            timestamp: new Date().toISOString()
+        });
     }
+    res.status(current.state === 'succeeded' ? 200 : 500).json(describeJobResult(current));
 }
 
-app.post('/processreport', async (req, res) => {
+app.post('/processreport', rejectWhileDraining, verifyMissiveWebhook, async (req, res) => {
     console.log(`\n${'='.repeat(60)}`);
     console.log(`[${new Date().toISOString()}] New process report request`);
     console.log(`${'='.repeat(60)}`);
@@ -325,241 +634,1091 @@ app.post('/processreport', async (req, res) => {
         });
     }
     
+    // Skip messages that were already delivered unless reprocessing is forced
+    const force = req.query.force === 'true' || requestData.force === true;
+    if (!force && respondIfDuplicate(res, messageId)) {
+        return;
+    }
+    
+    // Persist the job before acknowledging so it survives a restart
+    let job;
+    try {
+        job = await jobStore.createJob({ messageId, conversationId, request: requestData, force });
+        console.log(`🗂️  Created job ${job.id}`);
+    } catch (error) {
+        console.error('❌ Failed to create job:', error.message);
+        return res.status(500).json({
+            error: 'Failed to queue job',
+            details: error.message
+        });
+    }
+    
+    // Manual runs can wait for the outcome instead of polling
+    const waitOptions = parseWaitOptions(req, requestData);
+    if (waitOptions) {
+        return runJobAndRespond(res, job, waitOptions);
+    }
+    
     // Immediately respond with 200 to acknowledge receipt
     res.status(200).json({ 
         success: true,
         message: 'Webhook received, processing download',
+        jobId: job.id,
+        status: job.state,
+        statusUrl: `/jobs/${job.id}`,
         messageId: messageId,
         conversationId: conversationId || null,
         timestamp: new Date().toISOString()
     });
     
     // Process the download asynchronously (after response sent)
-    processDownloadAsync(requestData, messageId, conversationId).catch(error => {
-        console.error('❌ Async processing failed:', error);
-    });
+    runJob(job).catch(error => console.error(`❌ Job ${job.id} stopped unexpectedly: ${error.message}`));
 });
 
-// Async function to process the download after responding
-async function processDownloadAsync(requestData, messageId, conversationId) {
-    let context;
-    let page;
-    let tempDir;
-    let downloadPath;
+// Accept a raw RFC 822/MIME email, or JSON { html or text, subject, from, messageId },
+// and run it through the same pipeline as a Missive webhook
+const rawEmailBody = express.raw({ type: ['message/rfc822', 'text/plain', 'application/octet-stream'], limit: '50mb' });
+
+app.post('/ingest/eml', rejectWhileDraining, requireAdmin, rawEmailBody, async (req, res) => {
+    console.log(`\n${'='.repeat(60)}`);
+    console.log(`[${new Date().toISOString()}] New email ingest request`);
+    console.log(`${'='.repeat(60)}`);
     
+    const isRaw = Buffer.isBuffer(req.body);
+    let message;
+    let request;
     try {
-        // Log processing details
-        console.log('📨 Processing download asynchronously:');
-        console.log(`   Message ID: ${messageId}`);
-        console.log(`   Conversation ID from webhook: ${conversationId || 'Not provided'}`);
-        console.log('   Request data keys:', Object.keys(requestData));
-        
-        // Log the full request body for debugging (optional)
-        if (process.env.DEBUG === 'true') {
-            console.log('\n📋 Full Request Body (first 2000 chars):');
-            const bodyStr = JSON.stringify(requestData, null, 2);
-            console.log(bodyStr.substring(0, 2000));
-            if (bodyStr.length > 2000) {
-                console.log('... (truncated)');
+        if (isRaw) {
+            if (req.body.length === 0) {
+                throw new Error('Request body is empty');
             }
+            message = await emailSource.parseRawEmail(req.body);
+            request = { format: 'eml', size: req.body.length, subject: message.subject, from: message.from };
+        } else {
+            if (!req.body?.html && !req.body?.text) {
+                throw new Error('Send a raw email (Content-Type: message/rfc822) or JSON with "html" or "text"');
+            }
+            message = emailSource.parseJsonEmail(req.body);
+            request = {
+                format: 'json',
+                messageId: message.messageId,
+                subject: req.body.subject || '',
+                from: req.body.from || '',
+                html: req.body.html,
+                text: req.body.text
+            };
         }
-        
-        let webhookUrl;
-        
-        // Check for webhook URL (may come from n8n wrapper)
-        if (requestData.webhookUrl) {
-            webhookUrl = requestData.webhookUrl;
-            console.log('   Found webhookUrl in request');
-        }
-        
-        console.log(`   Webhook URL from request: ${webhookUrl || 'None (will use env vars based on filename)'}`);
-        console.log(`   Execution Mode: ${requestData.executionMode || 'not specified'}`);
-        
-        // Fetch message details from Missive API
-        const messageData = await fetchMissiveMessage(messageId);
-        
-        // Get the correct conversation ID from the API response
-        // The API returns it at messages.conversation.id
-        if (messageData?.messages?.conversation?.id) {
-            conversationId = messageData.messages.conversation.id;
-            console.log(`✓ Updated conversation ID from API: ${conversationId}`);
-        }
-        
-        // Extract download URL from message
-        const downloadUrl = extractDownloadUrl(messageData);
-        
-        // Ensure browser is initialized
-        const browser = await initBrowser();
-        
-        // Create temp directory within persistent directory
-        tempDir = path.join(PERSISTENT_DIR, `download-${Date.now()}-${Math.random().toString(36).substring(7)}`);
-        await fs.mkdir(tempDir, { recursive: true });
-        console.log(`📁 Created temp directory: ${tempDir}`);
-        
-        // Create a new context for this download
-        context = await browser.newContext({
-            acceptDownloads: true,
-            downloadsPath: tempDir
+    } catch (error) {
+        return res.status(400).json({
+            error: 'Invalid email',
+            details: error.message
         });
-        
-        page = await context.newPage();
-        
-        // Download with retry logic
-        const result = await downloadWithRetry(page, downloadUrl, tempDir);
-        downloadPath = result.downloadPath;
-        const fileName = result.fileName;
-        
-        // Determine webhook URL and type based on filename
-        const webhookConfig = determineWebhookConfig(fileName);
-        webhookUrl = webhookConfig.webhookUrl;  // Override any provided webhook URL
-        const reportType = webhookConfig.reportType;
-        
-        // Read the file as binary
-        console.log(`📖 Reading file from: ${downloadPath}`);
-        const fileBuffer = await fs.readFile(downloadPath);
-        console.log(`📊 File loaded into memory: ${(fileBuffer.length / 1024).toFixed(2)} KB`);
-        
-        if (!fileBuffer || fileBuffer.length === 0) {
-            throw new Error('Failed to read file or file is empty');
+    }
+    
+    const messageId = message.messageId;
+    console.log(`📧 Email "${message.subject}" from ${message.from || 'unknown sender'} (${messageId})`);
+    
+    const force = req.query.force === 'true' || req.body?.force === true;
+    if (!force && respondIfDuplicate(res, messageId)) {
+        return;
+    }
+    
+    // Persist the job, and the raw email it needs, before acknowledging
+    let job;
+    try {
+        job = await jobStore.createJob({ messageId, request, force, source: emailSource.name });
+        if (isRaw) {
+            await emailSource.saveRawEmail(job.id, req.body);
         }
-        
-        // Send file to output webhook with retry
-        let webhookResponse;
-        let webhookRetries = 0;
-        
-        while (webhookRetries <= MAX_RETRIES) {
-            try {
-                console.log(`📤 Sending to webhook (attempt ${webhookRetries + 1}/${MAX_RETRIES + 1})...`);
-                console.log(`   URL: ${webhookUrl}`);
-                console.log(`   Report Type: ${reportType}`);
-                console.log(`   Conversation ID: ${conversationId || 'Not provided'}`);
-                console.log(`   Message ID: ${messageId}`);
-                
-                const formData = new FormData();
-                
-                // Ensure buffer is properly attached with correct metadata
-                formData.append('file', fileBuffer, {
-                    filename: fileName,
-                    contentType: 'application/pdf',
-                    knownLength: fileBuffer.length
-                });
-                formData.append('type', reportType);
-                formData.append('conversationId', conversationId || '');
-                formData.append('messageId', messageId);
-                
-                console.log(`   FormData prepared with file: ${fileName} (${fileBuffer.length} bytes)`);
-                
-                webhookResponse = await axios.post(webhookUrl, formData, {
-                    headers: {
-                        ...formData.getHeaders(),
-                        'Content-Length': formData.getLengthSync()
-                    },
-                    maxBodyLength: Infinity,
-                    maxContentLength: Infinity,
-                    timeout: 30000
-                });
-                
-                console.log(`✓ File sent successfully to webhook (status: ${webhookResponse.status})`);
-                break;
-                
-            } catch (webhookError) {
-                webhookRetries++;
-                console.error(`❌ Webhook attempt ${webhookRetries} failed: ${webhookError.message}`);
-                
-                if (webhookRetries > MAX_RETRIES) {
-                    throw new Error(`Failed to send to webhook after ${MAX_RETRIES} attempts: ${webhookError.message}`);
-                }
-                
-                console.log(`   Retrying in ${RETRY_DELAY/1000} seconds...`);
-                await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-            }
+        console.log(`🗂️  Created job ${job.id}`);
+    } catch (error) {
+        console.error('❌ Failed to create job:', error.message);
+        return res.status(500).json({
+            error: 'Failed to queue job',
+            details: error.message
+        });
+    }
+    
+    const waitOptions = parseWaitOptions(req, req.body);
+    if (waitOptions) {
+        return runJobAndRespond(res, job, waitOptions);
+    }
+    
+    res.status(200).json({
+        success: true,
+        message: 'Email received, processing download',
+        jobId: job.id,
+        status: job.state,
+        statusUrl: `/jobs/${job.id}`,
+        messageId,
+        subject: message.subject,
+        timestamp: new Date().toISOString()
+    });
+    
+    runJob(job).catch(error => console.error(`❌ Job ${job.id} stopped unexpectedly: ${error.message}`));
+});
+
+// Run a job to completion and record the outcome on it
+// Everything a job logs is tagged with its IDs
+function runJob(job) {
+    const run = logger.runWithContext({
+        jobId: job.id,
+        messageId: job.messageId,
+        conversationId: job.conversationId || undefined,
+        source: job.source || 'missive'
+    }, () => runJobInContext(job));
+    
+    // Tracked until it settles so shutdown can wait for it
+    const tracked = run.then(() => activeJobs.delete(job.id), () => activeJobs.delete(job.id));
+    activeJobs.set(job.id, tracked);
+    return run;
+}
+
+async function runJobInContext(job) {
+    try {
+        await jobStore.updateJob(job.id, { attempts: job.attempts + 1, error: null });
+        const result = await processDownloadAsync(job);
+        if (interruptedJobs.has(job.id)) {
+            return;
         }
-        
-        console.log(`✅ Success! Report processed and sent`);
-        console.log(`   File: ${fileName}`);
-        console.log(`   Type: ${reportType}`);
-        console.log(`   Size: ${(fileBuffer.length / 1024).toFixed(2)} KB`);
-        console.log(`   Webhook Status: ${webhookResponse.status}`);
-        console.log(`   Download Retries: 0`);
-        console.log(`   Webhook Retries: ${webhookRetries > 0 ? webhookRetries - 1 : 0}`);
-        
+        await jobStore.setJobState(job.id, 'succeeded', { result });
     } catch (error) {
-        console.error('❌ Error processing download asynchronously:', error);
-        console.error('   Stack:', error.stack);
-        // Since we already responded, just log the error
-    } finally {
-        // Clean up temp files and directory
-        if (downloadPath) {
-            try {
-                await fs.unlink(downloadPath);
-                console.log('🧹 Cleaned up downloaded file');
-            } catch (err) {
-                console.error('   Error deleting temp file:', err.message);
-            }
+        // Requeued by shutdown; the next start runs it again
+        if (interruptedJobs.has(job.id)) {
+            console.warn(`   Job ${job.id} stopped by shutdown (${error.message}) - left queued`);
+            return;
         }
         
-        if (tempDir) {
+        // A browser crash is not the report's fault: run the job again on the relaunched browser
+        if (error.browserCrashed && job.attempts < JOB_MAX_ATTEMPTS) {
+            console.warn(`🔁 Job ${job.id} interrupted by a browser crash - retrying (attempt ${job.attempts + 1}/${JOB_MAX_ATTEMPTS})`);
             try {
-                // List and clean any remaining files
-                const files = await fs.readdir(tempDir);
-                if (files.length > 0) {
-                    console.log(`🧹 Cleaning ${files.length} remaining files...`);
-                    for (const file of files) {
-                        try {
-                            await fs.unlink(path.join(tempDir, file));
-                        } catch (err) {
-                            console.error(`   Error deleting ${file}:`, err.message);
-                        }
-                    }
-                }
-                await fs.rmdir(tempDir);
-                console.log('🧹 Cleaned up temp directory');
-            } catch (err) {
-                console.error('   Error deleting temp directory:', err.message);
+                await jobStore.setJobState(job.id, 'queued', { error: error.message });
+            } catch (stateError) {
+                // The retry still runs and ends in a state write of its own
+                console.error(`   Could not mark job ${job.id} as queued: ${stateError.message}`);
             }
+            return runJobInContext(job);
         }
         
-        // Close the context and page (not the browser)
-        if (page) {
-            await page.close();
+        console.error(`❌ Job ${job.id} failed:`, error.message);
+        try {
+            await jobStore.setJobState(job.id, 'failed', { error: error.message });
+        } catch (stateError) {
+            console.error(`   Could not mark job ${job.id} as failed: ${stateError.message}`);
         }
-        if (context) {
-            await context.close();
-        }
-        
-        console.log(`${'='.repeat(60)}\n`);
+    }
+    
+    // Outside the try: a problem reporting the outcome must not change it
+    await cleanupJobSource(job);
+    await finishJob(job.id);
+}
+
+// Count the finished job and tell the Missive conversation how it ended. Never throws.
+async function finishJob(jobId) {
+    const job = jobStore.getJob(jobId);
+    if (!job) {
+        return;
+    }
+    try {
+        logger.info(`Job ${job.state}`, {
+            event: 'job_finished',
+            state: job.state,
+            fileCount: (job.files || []).length,
+            durationMs: Date.now() - Date.parse(job.createdAt),
+            error: job.error || undefined
+        });
+        metrics.recordJob(job);
+        if (job.state === 'failed') {
+            await reportMonitor.notifyJobFailed(job);
+        }
+        await postOutcomeToMissive(job);
+    } catch (error) {
+        console.error(`   Could not report the outcome of job ${job.id}: ${error.message}`);
+    }
+}
+
+// The post's outcome is kept on the job
+async function postOutcomeToMissive(job) {
+    const missivePost = await missiveNotifier.postJobOutcome(job);
+    if (missivePost) {
+        await jobStore.updateJob(job.id, { missivePost });
+    }
+}
+
+// Drop anything the job's source kept for it (e.g. a stored raw email)
+async function cleanupJobSource(job) {
+    try {
+        await sourceAdapters.cleanupSource(job);
+    } catch (error) {
+        console.error(`   Could not clean up source data for job ${job.id}: ${error.message}`);
+    }
+}
+
+// Re-run jobs that were interrupted by a restart
+async function resumeUnfinishedJobs() {
+    const unfinished = jobStore.listUnfinishedJobs();
+    if (unfinished.length === 0) {
+        return;
+    }
+    
+    console.log(`🔁 Resuming ${unfinished.length} unfinished job(s)...`);
+    for (const job of unfinished) {
+        console.log(`   Job ${job.id} was "${job.state}" - requeueing`);
+        await jobStore.setJobState(job.id, 'queued');
+        runJob(job).catch(error => console.error(`❌ Job ${job.id} stopped unexpectedly: ${error.message}`));
+    }
+}
+
+// Download one link or attachment into its own directory. A failed download is returned
+// as a failed file so the message's other files still go through; browser crashes propagate
+// so the whole job can be retried.
+async function downloadSource(source, index, { jobId, subject, from, tempDir, recordAttempt }) {
+    const fileDir = path.join(tempDir, String(index + 1));
+    console.log(`\n📎 File ${index + 1}: ${source.kind === 'attachment' ? `attachment ${source.name}` : source.url}`);
+    
+    try {
+        await fs.mkdir(fileDir, { recursive: true });
+        
+        // Attachments come with their content or as plain file URLs; links go through the download strategy
+        if (source.kind === 'attachment' && source.content) {
+            const downloadPath = path.join(fileDir, source.name);
+            const fileInfo = contentDetection.validateReport(source.content, source.name);
+            await fs.writeFile(downloadPath, source.content);
+            return { index, source, success: true, downloadPath, fileName: source.name, fileInfo, retries: 0, strategy: 'attachment' };
+        }
+        if (source.kind === 'attachment') {
+            const result = await httpDownloader.downloadDirect(source.url, fileDir, {
+                fileName: source.name,
+                onAttempt: recordAttempt('download', index)
+            });
+            return { index, source, success: true, ...result, strategy: 'attachment' };
+        }
+        
+        // A matching rule can force a download strategy; otherwise DOWNLOAD_STRATEGY applies
+        const strategyOverride = routing.resolveDownloadStrategy({ subject, from, url: source.url });
+        const downloadStrategy = strategyOverride ? strategyOverride.strategy : DOWNLOAD_STRATEGY;
+        console.log(`   Download strategy: ${downloadStrategy}${strategyOverride ? ` (rule "${strategyOverride.rule}")` : ''}`);
+        
+        const result = await downloadReport(source.url, fileDir, downloadStrategy, {
+            onAttempt: recordAttempt('download', index),
+            diagnosticsFor: { jobId, file: index + 1 }
+        });
+        return { index, source, success: true, ...result };
+    } catch (error) {
+        if (error.browserCrashed) {
+            throw error;
+        }
+        console.error(`❌ Could not download file ${index + 1}: ${error.message}`);
+        return { index, source, success: false, error: error.message };
+    }
+}
+
+// What the job record keeps about a file
+function describeFile(file) {
+    return {
+        index: file.index,
+        kind: file.source.kind,
+        url: file.source.url,
+        fileName: file.fileName || file.source.name || null,
+        downloadStrategy: file.strategy || null,
+        downloadFallbackReason: file.fallbackReason || null,
+        downloadRetries: file.retries,
+        success: file.success,
+        error: file.error || null
+    };
+}
+
+// Route, dedupe, parse and deliver one downloaded file; failed deliveries become a dead letter
+async function deliverFile(job, download, { subject, from, conversationId, recordAttempt }) {
+    const { downloadPath, fileName, fileInfo, index } = download;
+    const described = describeFile(download);
+    
+    try {
+        // Determine report type and destinations from the routing rules
+        const route = routing.resolveRoute({ fileName, subject, from, fileType: fileInfo.type, url: download.source.url });  // Overrides any provided webhook URL
+        const reportType = route.reportType;
+        
+        // Read the file as binary
+        console.log(`📖 Reading file from: ${downloadPath}`);
+        const fileBuffer = await fs.readFile(downloadPath);
+        console.log(`📊 File loaded into memory: ${(fileBuffer.length / 1024).toFixed(2)} KB`);
+        
+        if (!fileBuffer || fileBuffer.length === 0) {
+            throw new Error('Failed to read file or file is empty');
+        }
+        
+        // Skip files whose exact content was already delivered
+        const fileHash = dedupeLedger.hashBuffer(fileBuffer);
+        console.log(`   SHA-256: ${fileHash}`);
+        
+        const fileSummary = {
+            ...described,
+            fileHash,
+            fileType: fileInfo.type,
+            fileSize: `${(fileBuffer.length / 1024).toFixed(2)} KB`,
+            reportType,
+            route: route.rule
+        };
+        
+        const original = job.force ? null : dedupeLedger.findByFileHash(fileHash);
+        if (original) {
+            console.log(`♻️  Identical file already delivered by job ${original.jobId} (message ${original.messageId}) - skipping`);
+            return { ...fileSummary, alreadyProcessed: true, original };
+        }
+        
+        // Parse totals and transactions; a parse failure is reported in the data but never blocks delivery
+        const parsed = await reportParser.parseReport(fileBuffer, {
+            parser: route.parser,
+            fileName,
+            fileType: fileInfo.type
+        });
+        fileSummary.parsed = reportParser.summarizeParsed(parsed);
+        
+        // Record the day's fuel or EFS amount as soon as it is parsed, so it counts even if
+        // delivery ends up in the dead-letter store; a ledger problem never fails the job
+        const ledgerCategory = totalsLedger.categoryForReport(reportType, route.ledger);
+        try {
+            const ledgerAmount = totalsLedger.amountFromParsed(parsed);
+            if (ledgerCategory && ledgerAmount !== null && parsed.reportDate) {
+                await totalsLedger.recordDailyAmount({
+                    date: parsed.reportDate,
+                    category: ledgerCategory,
+                    amount: ledgerAmount,
+                    source: { jobId: job.id, messageId: job.messageId, fileName, reportType }
+                });
+            }
+        } catch (ledgerError) {
+            console.error(`⚠️  Failed to update totals ledger: ${ledgerError.message}`);
+        }
+        
+        // Pair the fuel grand total and the itemized report of the same day; the result for
+        // the day so far goes out with the delivery
+        let reconciled = null;
+        try {
+            const side = parsed?.parser === 'itemized' ? 'itemized'
+                : (parsed?.parser === 'grand-total' && ledgerCategory === 'fuel' ? 'grandTotal' : null);
+            if (side && parsed.success && parsed.reportDate) {
+                reconciled = await reconciliation.recordReport({
+                    side,
+                    parsed,
+                    source: { jobId: job.id, messageId: job.messageId, fileName, fileHash }
+                });
+                fileSummary.reconciliation = reconciliation.summarizeReconciliation(reconciled);
+            }
+        } catch (reconciliationError) {
+            console.error(`⚠️  Failed to reconcile ${fileName}: ${reconciliationError.message}`);
+        }
+        
+        // Send file to every destination on the route
+        const deliveries = [];
+        for (const destination of route.destinations) {
+            try {
+                const delivery = await sinks.deliver(destination, {
+                    fileBuffer,
+                    fileName,
+                    contentType: fileInfo.contentType,
+                    fileHash,
+                    reportType,
+                    reportDate: parsed?.reportDate,
+                    rule: route.rule,
+                    conversationId,
+                    messageId: job.messageId,
+                    fields: route.fields,
+                    data: parsed,
+                    reconciliation: reconciled
+                }, { onAttempt: recordAttempt('delivery', index) });
+                deliveries.push({ destination: destination.name, success: true, ...delivery });
+            } catch (deliveryError) {
+                deliveries.push({ destination: destination.name, type: destination.type, success: false, error: deliveryError.message });
+            }
+        }
+        fileSummary.deliveries = deliveries;
+        
+        const archiveDetails = {
+            fileBuffer,
+            fileName,
+            contentType: fileInfo.contentType,
+            fileType: fileInfo.type,
+            fileHash,
+            reportType,
+            reportDate: parsed?.reportDate,
+            rule: route.rule,
+            deliveries
+        };
+        
+        const failedDeliveries = deliveries.filter(delivery => !delivery.success);
+        if (failedDeliveries.length > 0) {
+            const deliveryError = failedDeliveries.map(delivery => delivery.error).join('; ');
+            
+            // Keep the file and routing so the failed destinations can be replayed later
+            let deadLetterId = null;
+            try {
+                const deadLetter = await deadLetterStore.addDeadLetter({
+                    job,
+                    fileBuffer,
+                    fileName,
+                    contentType: fileInfo.contentType,
+                    fileHash,
+                    reportType,
+                    route,
+                    destinations: route.destinations
+                        .filter(destination => failedDeliveries.some(delivery => delivery.destination === destination.name))
+                        .map(destination => destination.template),
+                    data: parsed,
+                    error: deliveryError
+                });
+                deadLetterId = deadLetter.id;
+            } catch (deadLetterError) {
+                console.error(`❌ Failed to store dead letter: ${deadLetterError.message}`);
+            }
+            
+            await archiveFile(job, { ...archiveDetails, deadLetterId });
+            return { ...fileSummary, success: false, error: deliveryError, deadLetterId };
+        }
+        
+        for (const delivery of deliveries) {
+            console.log(`   ${delivery.type} [${delivery.destination}] ${delivery.status ? `Status: ${delivery.status}` : delivery.location} (retries: ${delivery.retries})`);
+        }
+        
+        await archiveFile(job, archiveDetails);
+        
+        await dedupeLedger.recordFile({
+            messageId: job.messageId,
+            fileHash,
+            jobId: job.id,
+            fileName,
+            reportType
+        });
+        
+        return {
+            ...fileSummary,
+            webhookResponse: deliveries[0].status,
+            webhookRetries: Math.max(...deliveries.map(delivery => delivery.retries))
+        };
+    } catch (error) {
+        console.error(`❌ Could not deliver ${fileName}: ${error.message}`);
+        return { ...described, success: false, error: error.message };
+    }
+}
+
+// Keep a copy of the report in the archive, when enabled; an archive problem never fails the job
+async function archiveFile(job, details) {
+    try {
+        await reportArchive.archiveReport({ job, ...details });
+    } catch (error) {
+        console.error(`⚠️  Failed to archive ${details.fileName}: ${error.message}`);
+    }
+}
+
+// Process a job's download after responding
+async function processDownloadAsync(job) {
+    const requestData = job.request;
+    const messageId = job.messageId;
+    let conversationId = job.conversationId;
+    let tempDir;
+    
+    // Every download, source fetch and webhook attempt is recorded on the job, with the file it belongs to.
+    // A record that cannot be written (persistJob logs it) must not turn a good attempt into a failed one.
+    const recordAttempt = (stage, index) => entry => jobStore.recordAttempt(job.id, {
+        stage,
+        ...(index !== undefined ? { file: index + 1 } : {}),
+        ...entry
+    }).catch(() => {});
+    
+    try {
+        // Log processing details
+        console.log('📨 Processing download asynchronously:');
+        console.log(`   Job ID: ${job.id}`);
+        console.log(`   Message ID: ${messageId}`);
+        console.log(`   Conversation ID from webhook: ${conversationId || 'Not provided'}`);
+        console.log('   Request data keys:', Object.keys(requestData));
+        
+        // Log the full request body for debugging (optional)
+        if (process.env.DEBUG === 'true') {
+            console.log('\n📋 Full Request Body (first 2000 chars):');
+            const bodyStr = JSON.stringify(requestData, null, 2);
+            console.log(bodyStr.substring(0, 2000));
+            if (bodyStr.length > 2000) {
+                console.log('... (truncated)');
+            }
+        }
+        
+        let webhookUrl;
+        
+        // Check for webhook URL (may come from n8n wrapper)
+        if (requestData.webhookUrl) {
+            webhookUrl = requestData.webhookUrl;
+            console.log('   Found webhookUrl in request');
+        }
+        
+        console.log(`   Webhook URL from request: ${webhookUrl || 'None (will use routing rules)'}`);
+        console.log(`   Execution Mode: ${requestData.executionMode || 'not specified'}`);
+        
+        // Load the message from its source (the Missive API, or an ingested email)
+        await jobStore.setJobState(job.id, 'fetching');
+        const message = await sourceAdapters.loadMessage(job, { onAttempt: recordAttempt(job.source || 'missive') });
+        const { subject, from } = message;
+        
+        if (message.conversationId && message.conversationId !== conversationId) {
+            conversationId = message.conversationId;
+            logger.setContext({ conversationId });
+            console.log(`✓ Updated conversation ID: ${conversationId}`);
+            await jobStore.updateJob(job.id, { conversationId });
+        }
+        
+        // Every report link and attachment in the message becomes its own file
+        const sources = reportSources.findReportSources(message);
+        
+        await jobStore.setJobState(job.id, 'downloading', {
+            sources: sources.map(source => ({ kind: source.kind, url: source.url, name: source.name || null }))
+        });
+        
+        // Create temp directory within persistent directory
+        tempDir = path.join(PERSISTENT_DIR, `download-${Date.now()}-${Math.random().toString(36).substring(7)}`);
+        await fs.mkdir(tempDir, { recursive: true });
+        console.log(`📁 Created temp directory: ${tempDir}`);
+        
+        // Download everything first, directly or in the browser
+        const downloads = [];
+        for (const [index, source] of sources.entries()) {
+            const startedAt = Date.now();
+            const download = await downloadSource(source, index, { jobId: job.id, subject, from, tempDir, recordAttempt });
+            metrics.observeDownload(download.strategy, download.success ? 'success' : 'failure', (Date.now() - startedAt) / 1000);
+            downloads.push(download);
+        }
+        
+        // Then route and deliver each downloaded file on its own
+        await jobStore.setJobState(job.id, 'delivering', { files: downloads.map(describeFile) });
+        const files = [];
+        for (const download of downloads) {
+            files.push(download.success
+                ? await deliverFile(job, download, { subject, from, conversationId, recordAttempt })
+                : describeFile(download));
+            await jobStore.updateJob(job.id, { files: [...files, ...downloads.slice(files.length).map(describeFile)] });
+        }
+        
+        const failedFiles = files.filter(file => !file.success);
+        
+        console.log(`${failedFiles.length === 0 ? '✅ Success! Report processed and sent' : '⚠️  Some files failed'}`);
+        for (const file of files) {
+            const outcome = file.alreadyProcessed ? 'already delivered' : (file.success ? 'delivered' : `failed: ${file.error}`);
+            console.log(`   File ${file.index + 1}: ${file.fileName || file.url} (${file.reportType || 'unrouted'}) - ${outcome}`);
+        }
+        
+        if (failedFiles.length > 0) {
+            throw new Error(`${failedFiles.length} of ${files.length} file(s) failed: ` +
+                failedFiles.map(file => `${file.fileName || file.url}: ${file.error}`).join('; '));
+        }
+        
+        await dedupeLedger.recordMessage({ messageId, jobId: job.id, files });
+        
+        return {
+            fileCount: files.length,
+            alreadyProcessed: files.every(file => file.alreadyProcessed),
+            files
+        };
+        
+    } catch (error) {
+        console.error('❌ Error processing download asynchronously:', error);
+        console.error('   Stack:', error.stack);
+        // Since we already responded, the job record carries the error
+        throw error;
+    } finally {
+        // Clean up downloaded files and the temp directory
+        if (tempDir) {
+            try {
+                await fs.rm(tempDir, { recursive: true, force: true });
+                console.log('🧹 Cleaned up temp directory');
+            } catch (err) {
+                console.error('   Error deleting temp directory:', err.message);
+            }
+        }
+        
+        console.log(`${'='.repeat(60)}\n`);
     }
 }
 
 // Health check endpoint
-app.get('/health', async (req, res) => {
-    const browserStatus = globalBrowser ? 'running' : 'not initialized';
-    res.json({ 
-        status: 'healthy',
+// Status and readiness only: it is open to anyone who can reach the server. 503 while
+// draining so load balancers and orchestrators stop sending traffic here.
+app.get('/health', (req, res) => {
+    res.status(draining ? 503 : 200).json({
+        status: draining ? 'draining' : 'healthy',
+        browser: browserPool.getPoolStats().status,
+        activeJobs: activeJobs.size,
+        uptime: process.uptime(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Pool, portal session, storage and configuration details
+app.get('/health/details', requireAdmin, (req, res) => {
+    const browserStats = browserPool.getPoolStats();
+    res.status(draining ? 503 : 200).json({ 
+        status: draining ? 'draining' : 'healthy',
+        activeJobs: activeJobs.size,
         port: PORT,
-        browser: browserStatus,
+        browser: browserStats.status,
+        browserPool: browserStats,
+        portalSession: portalSession.getSessionStatus(),
+        archive: reportArchive.getArchiveStats(),
+        diagnostics: diagnostics.getDiagnosticsStats(),
         config: {
             headless: HEADLESS,
             maxRetries: MAX_RETRIES,
+            downloadStrategy: DOWNLOAD_STRATEGY,
+            retryPolicies: [httpDownloader.DIRECT_RETRY_POLICY, DOWNLOAD_RETRY_POLICY, MISSIVE_RETRY_POLICY, WEBHOOK_RETRY_POLICY, SINK_RETRY_POLICY, ALERT_RETRY_POLICY],
+            alertChannels: alerts.getChannels(),
             persistentDir: PERSISTENT_DIR,
             missiveApiConfigured: !!MISSIVE_API_KEY,
+            missivePostResults: missiveNotifier.isEnabled(),
+            missiveCloseOnSuccess: MISSIVE_CLOSE_ON_SUCCESS,
             fuelReportWebhookConfigured: !!FUELREPORTWEBHOOK,
-            efsReportWebhookConfigured: !!EFSREPORTWEBHOOK
+            efsReportWebhookConfigured: !!EFSREPORTWEBHOOK,
+            routingRules: routing.getRulesSource(),
+            webhookSignatureRequired: !!MISSIVE_WEBHOOK_SECRET,
+            adminAuthRequired: !!ADMIN_API_KEY,
+            shutdownGracePeriodMs: SHUTDOWN_GRACE_PERIOD_MS
         },
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
     });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', requireMetricsToken, async (req, res) => {
+    try {
+        res.set('Content-Type', metrics.contentType);
+        res.send(await metrics.renderMetrics());
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to render metrics', details: error.message });
+    }
+});
+
+// Strip the stored webhook payload from job listings
+function summarizeJob(job) {
+    const { request, ...summary } = job;
+    return summary;
+}
+
+// List recent jobs, optionally filtered by state or message ID
+app.get('/jobs', requireAdmin, (req, res) => {
+    const { state, messageId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '50') || 50, 500);
+    
+    if (state && !jobStore.JOB_STATES.includes(state)) {
+        return res.status(400).json({
+            error: 'Invalid state',
+            details: `state must be one of: ${jobStore.JOB_STATES.join(', ')}`
+        });
+    }
+    
+    const jobs = jobStore.listJobs({ state, messageId, limit });
+    res.json({
+        count: jobs.length,
+        jobs: jobs.map(summarizeJob),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Get a single job, including the original webhook payload
+app.get('/jobs/:id', requireAdmin, (req, res) => {
+    const job = jobStore.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found',
+            details: `No job with ID ${req.params.id}`
+        });
+    }
+    res.json(job);
+});
+
+// Failure diagnostics captured for a job's download attempts
+app.get('/jobs/:id/diagnostics', requireAdmin, (req, res) => {
+    if (!jobStore.getJob(req.params.id) && diagnostics.listCaptures(req.params.id).length === 0) {
+        return res.status(404).json({
+            error: 'Job not found',
+            details: `No job with ID ${req.params.id}`
+        });
+    }
+    const captures = diagnostics.listCaptures(req.params.id).map(summarizeCapture);
+    res.json({
+        enabled: diagnostics.isEnabled(),
+        count: captures.length,
+        captures,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// One captured file: trace.zip (open with "npx playwright show-trace"), screenshot.png, page.html or network.json
+app.get('/jobs/:id/diagnostics/:captureId/:file', requireAdmin, (req, res) => {
+    const capture = diagnostics.getCapture(req.params.id, req.params.captureId);
+    const filePath = capture && diagnostics.getCaptureFilePath(capture, req.params.file);
+    if (!filePath) {
+        return res.status(404).json({
+            error: 'Diagnostics file not found',
+            details: `No ${req.params.file} in capture ${req.params.captureId} of job ${req.params.id}`
+        });
+    }
+    res.download(filePath, `${capture.id.slice(0, 8)}-${req.params.file}`, err => {
+        if (err && !res.headersSent) {
+            res.status(500).json({ error: 'Could not read diagnostics file', details: err.message });
+        }
+    });
+});
+
+// Show which routing rule would handle a file, e.g. /routes/test?fileName=GrandTotalReport.pdf
+app.get('/routes/test', requireAdmin, (req, res) => {
+    const { fileName, subject, from, fileType, url } = req.query;
+    
+    if (!fileName && !subject && !from && !fileType && !url) {
+        return res.status(400).json({
+            error: 'Missing test input',
+            details: 'Provide at least one of: fileName, subject, from, fileType, url'
+        });
+    }
+    
+    res.json({
+        rulesSource: routing.getRulesSource(),
+        ...routing.describeRoute({ fileName, subject, from, fileType, url }),
+        downloadStrategy: routing.resolveDownloadStrategy({ subject, from, url }),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Re-send a dead letter to its failed destinations, or to an override URL
+function replayDeadLetter(entry, destinationUrl) {
+    return logger.runWithContext({
+        jobId: entry.jobId,
+        messageId: entry.messageId,
+        conversationId: entry.conversationId || undefined,
+        deadLetterId: entry.id
+    }, () => sendDeadLetter(entry, destinationUrl));
+}
+
+async function sendDeadLetter(entry, destinationUrl) {
+    console.log(`🔁 Replaying dead letter ${entry.id} (${entry.fileName})${destinationUrl ? ` to ${destinationUrl}` : ''}`);
+    const fileBuffer = await deadLetterStore.readDeadLetterFile(entry);
+    const destinations = destinationUrl ? [{ name: 'override', url: destinationUrl }] : entry.destinations;
+    
+    const results = [];
+    for (const [i, stored] of destinations.entries()) {
+        // Dead letters keep the unresolved destination; env values are filled in at replay time.
+        // An override URL is used as given so it cannot pull server secrets into a request.
+        const { destination, missing } = destinationUrl
+            ? { destination: stored, missing: [] }
+            : routing.resolveDestination(stored, i);
+        try {
+            if (missing.length > 0) {
+                throw new Error(`${missing.join(', ')} environment variable is not configured`);
+            }
+            const delivery = await sinks.deliver(destination, {
+                fileBuffer,
+                fileName: entry.fileName,
+                contentType: entry.contentType,
+                fileHash: entry.fileHash,
+                reportType: entry.reportType,
+                reportDate: entry.data?.reportDate,
+                rule: entry.route,
+                conversationId: entry.conversationId,
+                messageId: entry.messageId,
+                fields: entry.fields,
+                data: entry.data,
+                reconciliation: entry.data?.reportDate ? reconciliation.getReconciliation(entry.data.reportDate) : null
+            });
+            results.push({ destination: destination.name, success: true, ...delivery });
+        } catch (error) {
+            results.push({ destination: destination.name, success: false, error: error.message });
+        }
+    }
+    
+    try {
+        await reportArchive.recordReplay(entry.fileHash, results);
+    } catch (error) {
+        console.error(`⚠️  Failed to update archived report ${entry.fileHash}: ${error.message}`);
+    }
+    
+    const replay = { at: new Date().toISOString(), destinationUrl: destinationUrl || null, results };
+    const failed = results.filter(result => !result.success);
+    
+    if (failed.length === 0) {
+        await deadLetterStore.removeDeadLetter(entry.id);
+        await dedupeLedger.recordFile({
+            messageId: entry.messageId,
+            fileHash: entry.fileHash,
+            jobId: entry.jobId,
+            fileName: entry.fileName,
+            reportType: entry.reportType
+        });
+        
+        // Mark the file delivered on its job; the job succeeds once none of its files are left failing
+        const job = jobStore.getJob(entry.jobId);
+        if (job) {
+            const files = (job.files || []).map(file => file.deadLetterId === entry.id
+                ? { ...file, success: true, error: null, deliveries: results, replayedFromDeadLetter: entry.id }
+                : file);
+            if (files.every(file => file.success)) {
+                await jobStore.setJobState(entry.jobId, 'succeeded', {
+                    error: null,
+                    files,
+                    result: { fileCount: files.length, alreadyProcessed: false, files, replayedFromDeadLetter: entry.id }
+                });
+                await dedupeLedger.recordMessage({ messageId: entry.messageId, jobId: entry.jobId, files });
+                await postOutcomeToMissive(jobStore.getJob(entry.jobId));
+            } else {
+                await jobStore.updateJob(entry.jobId, { files });
+            }
+        }
+        console.log(`✅ Dead letter ${entry.id} delivered and removed`);
+        return { id: entry.id, success: true, replay };
+    }
+    
+    // Only destinations that are still failing stay on the entry
+    const remaining = destinationUrl
+        ? entry.destinations
+        : entry.destinations.filter(destination => failed.some(result => result.destination === destination.name));
+    await deadLetterStore.updateDeadLetter(entry.id, {
+        destinations: remaining,
+        lastError: failed.map(result => result.error).join('; '),
+        replays: [...entry.replays, replay]
+    });
+    console.error(`❌ Replay of dead letter ${entry.id} failed`);
+    return { id: entry.id, success: false, replay };
+}
+
+// Validate the optional override destination for a replay
+function parseReplayDestination(body) {
+    const destinationUrl = body?.destinationUrl;
+    if (!destinationUrl) {
+        return null;
+    }
+    if (!/^https?:\/\/\S+$/i.test(destinationUrl)) {
+        throw new Error('destinationUrl must be an http(s) URL');
+    }
+    return destinationUrl;
+}
+
+// Leave the parsed data out of dead letter listings
+function summarizeDeadLetter(entry) {
+    const { data, ...summary } = entry;
+    return summary;
+}
+
+// List stored failed deliveries
+app.get('/dead-letters', requireAdmin, (req, res) => {
+    const deadLetters = deadLetterStore.listDeadLetters();
+    res.json({
+        count: deadLetters.length,
+        deadLetters: deadLetters.map(summarizeDeadLetter),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/dead-letters/:id', requireAdmin, (req, res) => {
+    const entry = deadLetterStore.getDeadLetter(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found', details: `No dead letter with ID ${req.params.id}` });
+    }
+    res.json(entry);
+});
+
+// Replay every dead letter, optionally to an overridden destination
+app.post('/dead-letters/replay', requireAdmin, async (req, res) => {
+    let destinationUrl;
+    try {
+        destinationUrl = parseReplayDestination(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid destination', details: error.message });
+    }
+    
+    const results = [];
+    for (const entry of deadLetterStore.listDeadLetters().reverse()) {
+        try {
+            results.push(await replayDeadLetter(entry, destinationUrl));
+        } catch (error) {
+            results.push({ id: entry.id, success: false, error: error.message });
+        }
+    }
+    
+    res.json({
+        replayed: results.length,
+        succeeded: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success).length,
+        results,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Replay one dead letter, optionally to an overridden destination
+app.post('/dead-letters/:id/replay', requireAdmin, async (req, res) => {
+    const entry = deadLetterStore.getDeadLetter(req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Dead letter not found', details: `No dead letter with ID ${req.params.id}` });
+    }
+    
+    let destinationUrl;
+    try {
+        destinationUrl = parseReplayDestination(req.body);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid destination', details: error.message });
+    }
+    
+    try {
+        const result = await replayDeadLetter(entry, destinationUrl);
+        res.status(result.success ? 200 : 502).json({ ...result, timestamp: new Date().toISOString() });
+    } catch (error) {
+        res.status(500).json({ error: 'Failed to replay dead letter', details: error.message });
+    }
+});
+
+// Discard a dead letter and its file
+app.delete('/dead-letters/:id', requireAdmin, async (req, res) => {
+    let removed;
+    try {
+        removed = await deadLetterStore.removeDeadLetter(req.params.id);
+    } catch (error) {
+        console.error(`❌ Failed to discard dead letter ${req.params.id}: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to discard dead letter', details: error.message });
+    }
+    if (!removed) {
+        return res.status(404).json({ error: 'Dead letter not found', details: `No dead letter with ID ${req.params.id}` });
+    }
+    console.log(`🗑️  Discarded dead letter ${req.params.id}`);
+    res.json({ success: true, id: req.params.id, timestamp: new Date().toISOString() });
+});
+
+// Parse the shared query parameters of the totals endpoints
+function parseTotalsQuery(query) {
+    const { from, to } = query;
+    for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && !totalsLedger.isIsoDate(value)) {
+            throw new Error(`${name} must be a date in YYYY-MM-DD format`);
+        }
+    }
+    const format = (query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        throw new Error('format must be json or csv');
+    }
+    return {
+        from,
+        to,
+        format,
+        startDay: totalsLedger.parseStartDay(query.startDay, PAY_PERIOD_START_DAY)
+    };
+}
+
+// Send totals rows as JSON or as a CSV download
+function sendTotals(res, { rows, columns, format, fileName, startDay }) {
+    if (format === 'csv') {
+        res.set('Content-Type', 'text/csv');
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        return res.send(totalsLedger.toCsv(rows, columns));
+    }
+    res.json({
+        payPeriodStartDay: totalsLedger.DAY_NAMES[startDay],
+        count: rows.length,
+        rows,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Daily fuel, EFS and Wex totals (the "Running Totals" sheet)
+app.get('/totals/daily', requireAdmin, (req, res) => {
+    let options;
+    try {
+        options = parseTotalsQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
+    
+    sendTotals(res, {
+        rows: totalsLedger.getDailyTotals(options),
+        columns: [
+            ['Date', 'date'],
+            ['Day of Week', 'dayOfWeek'],
+            ['Fuel Total', 'fuel'],
+            ['EFS Total', 'efs'],
+            ['Wex Total', 'wex'],
+            ['Pay Period', 'payPeriod']
+        ],
+        format: options.format,
+        fileName: 'daily-totals.csv',
+        startDay: options.startDay
+    });
+});
+
+// Totals per pay period (the "Weekly Totals" sheet)
+app.get('/totals/weekly', requireAdmin, (req, res) => {
+    let options;
+    try {
+        options = parseTotalsQuery(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid query', details: error.message });
+    }
+    
+    sendTotals(res, {
+        rows: totalsLedger.getWeeklyTotals(options),
+        columns: [
+            ['Week', 'week'],
+            ['Start', 'start'],
+            ['End', 'end'],
+            ['Fuel Total', 'fuel'],
+            ['EFS Total', 'efs'],
+            ['Wex Total', 'wex']
+        ],
+        format: options.format,
+        fileName: 'weekly-totals.csv',
+        startDay: options.startDay
+    });
+});
+
+// Enter or correct a day's amounts by hand, e.g. EFS totals from reports that are not parsed
+app.put('/totals/daily/:date', requireAdmin, async (req, res) => {
+    const { date } = req.params;
+    if (!totalsLedger.isIsoDate(date)) {
+        return res.status(400).json({ error: 'Invalid date', details: 'Date must be in YYYY-MM-DD format' });
+    }
+    
+    const updates = totalsLedger.CATEGORIES.filter(category => req.body?.[category] !== undefined);
+    if (updates.length === 0) {
+        return res.status(400).json({ error: 'Missing amounts', details: 'Provide "fuel" and/or "efs" in the request body' });
+    }
+    
+    for (const category of updates) {
+        const amount = Number(req.body[category]);
+        if (!Number.isFinite(amount)) {
+            return res.status(400).json({ error: 'Invalid amount', details: `${category} must be a number` });
+        }
+    }
+    
+    try {
+        for (const category of updates) {
+            await totalsLedger.recordDailyAmount({
+                date,
+                category,
+                amount: Number(req.body[category]),
+                source: { manual: true, note: req.body.note || null }
+            });
+        }
+    } catch (error) {
+        console.error(`❌ Failed to update totals for ${date}: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to update totals', details: error.message });
+    }
+    
+    res.json({
+        success: true,
+        date,
+        day: totalsLedger.getDay(date),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Endpoint to manually restart browser
-app.post('/restart-browser', async (req, res) => {
+app.post('/restart-browser', requireAdmin, async (req, res) => {
     try {
         console.log('🔄 Restarting browser...');
-        if (globalBrowser) {
-            await globalBrowser.close();
-            globalBrowser = null;
-        }
-        await initBrowser();
+        await browserPool.restartBrowser();
         res.json({ 
             success: true,
             message: 'Browser restarted successfully',
@@ -575,28 +1734,283 @@ app.post('/restart-browser', async (req, res) => {
     }
 });
 
-// Start server
-app.listen(PORT, async () => {
-    console.log(`\n${'='.repeat(60)}`);
-    console.log(`WexDownloader Server v4.0`);
-    console.log(`${'='.repeat(60)}`);
-    console.log(`📋 Configuration:`);
-    console.log(`   Port: ${PORT}`);
-    console.log(`   Persistent Directory: ${PERSISTENT_DIR}`);
-    console.log(`   Browser Mode: ${HEADLESS ? 'Headless' : 'Visible'}`);
-    console.log(`   Max Retries: ${MAX_RETRIES}`);
-    console.log(`   Missive API: ${MISSIVE_API_KEY ? '✓ Configured' : '✗ Not configured (WARNING)'}`);
-    console.log(`   Fuel Report Webhook: ${FUELREPORTWEBHOOK ? '✓ Configured' : '✗ Not configured'}`);
-    console.log(`   EFS Report Webhook: ${EFSREPORTWEBHOOK ? '✓ Configured' : '✗ Not configured'}`);
-    console.log(`\n📡 Endpoints:`);
-    console.log(`   POST http://localhost:${PORT}/processreport`);
-    console.log(`   GET  http://localhost:${PORT}/health`);
-    console.log(`   POST http://localhost:${PORT}/restart-browser`);
-    console.log(`${'='.repeat(60)}\n`);
+// Log in to the FleetOne portal now and replace the stored session
+app.post('/portal-session/login', requireAdmin, async (req, res) => {
+    if (!portalSession.isConfigured()) {
+        return res.status(400).json({
+            error: 'Portal login not configured',
+            details: 'Set FLEETONE_USERNAME and FLEETONE_PASSWORD'
+        });
+    }
+
+    try {
+        await browserPool.withContext({}, context => portalSession.login(context));
+        res.json({
+            success: true,
+            session: portalSession.getSessionStatus(),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        res.status(502).json({
+            error: 'Portal login failed',
+            details: error.message,
+            session: portalSession.getSessionStatus(),
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Today's status of every expected report, and the alert settings
+app.get('/monitor', requireAdmin, (req, res) => {
+    res.json({
+        ...reportMonitor.getMonitorStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// Send the daily digest now, for today or ?date=YYYY-MM-DD
+app.post('/monitor/digest', requireAdmin, async (req, res) => {
+    const date = req.query.date || reportMonitor.getMonitorStatus().localDate;
+    if (!totalsLedger.isIsoDate(date)) {
+        return res.status(400).json({ error: 'Invalid date', details: 'date must be in YYYY-MM-DD format' });
+    }
+
+    let sent;
+    try {
+        sent = await reportMonitor.sendDigest(date);
+    } catch (error) {
+        console.error(`❌ Failed to send the digest for ${date}: ${error.message}`);
+        return res.status(500).json({ error: 'Failed to send digest', details: error.message });
+    }
     
+    // 502 when a configured channel did not take the digest
+    const { digest, results } = sent;
+    const success = results.length > 0 && results.every(result => result.success);
+    res.status(success || results.length === 0 ? 200 : 502).json({
+        success,
+        digest,
+        channels: results,
+        timestamp: new Date().toISOString()
+    });
+});
+
+// How the day's itemized fuel transactions compare with its grand total, with any anomalies
+app.get('/reconciliation/:date', requireAdmin, (req, res) => {
+    if (!totalsLedger.isIsoDate(req.params.date)) {
+        return res.status(400).json({ error: 'Invalid date', details: 'date must be in YYYY-MM-DD format' });
+    }
+    const result = reconciliation.getReconciliation(req.params.date);
+    if (!result) {
+        return res.status(404).json({ error: 'No reconciliation', details: `No fuel report recorded for ${req.params.date}` });
+    }
+    res.json(result);
+});
+
+// Archived reports, newest first, filtered by ?reportType, ?messageId, ?status, report date
+// (?from/?to) or archive time (?since/?until)
+app.get('/reports', requireAdmin, (req, res) => {
+    if (!reportArchive.isEnabled()) {
+        return res.status(404).json({ error: 'Report archive not enabled', details: 'Set ARCHIVE_ENABLED=true to keep reports' });
+    }
+    const { reportType, messageId, status, from, to, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '50') || 50, 500);
+    
+    if (status && !reportArchive.STATUSES.includes(status)) {
+        return res.status(400).json({
+            error: 'Invalid status',
+            details: `status must be one of: ${reportArchive.STATUSES.join(', ')}`
+        });
+    }
+    for (const [name, value] of Object.entries({ from, to })) {
+        if (value && !totalsLedger.isIsoDate(value)) {
+            return res.status(400).json({ error: `Invalid ${name}`, details: `${name} must be in YYYY-MM-DD format` });
+        }
+    }
+    
+    const reports = reportArchive.listReports({ reportType, messageId, status, from, to, since, until, limit });
+    res.json({
+        count: reports.length,
+        reports: reports.map(report => ({ ...report, fileUrl: `/reports/${report.id}/file` })),
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/reports/:id', requireAdmin, (req, res) => {
+    const report = reportArchive.getReport(req.params.id);
+    if (!report) {
+        return res.status(404).json({ error: 'Report not found', details: `No archived report with ID ${req.params.id}` });
+    }
+    res.json({ ...report, fileUrl: `/reports/${report.id}/file` });
+});
+
+// The original file, under its original name
+app.get('/reports/:id/file', requireAdmin, (req, res) => {
+    const report = reportArchive.getReport(req.params.id);
+    if (!report) {
+        return res.status(404).json({ error: 'Report not found', details: `No archived report with ID ${req.params.id}` });
+    }
+    res.type(report.contentType || 'application/octet-stream');
+    res.download(reportArchive.getReportFilePath(report), report.fileName, err => {
+        if (err && !res.headersSent) {
+            res.status(500).json({ error: 'Could not read archived file', details: err.message });
+        }
+    });
+});
+
+// Why a backfilled message must not be processed again, or null
+function backfillSkipReason(messageId) {
+    if (dedupeLedger.findByMessageId(messageId)) {
+        return 'already-processed';
+    }
+    if (jobStore.listUnfinishedJobs().some(existing => existing.messageId === messageId)) {
+        return 'in-progress';
+    }
+    return null;
+}
+
+// Backfilled messages go through the same job pipeline as webhooks, one at a time
+async function processBackfillMessage(runId, message, { force }) {
+    const job = await jobStore.createJob({
+        messageId: message.messageId,
+        conversationId: message.conversationId,
+        request: {
+            backfill: runId,
+            latest_message: { id: message.messageId, subject: message.subject },
+            conversation: { id: message.conversationId }
+        },
+        force
+    });
+    console.log(`🗂️  Created job ${job.id} for backfilled message ${message.messageId}`);
+    await runJob(job);
+    return jobStore.getJob(job.id) || job;
+}
+
+// Process (or with dryRun, only list) past messages from given senders or with given subjects:
+// { since, until, from, subject, mailbox, limit, force, dryRun }. Answers 202 with the run to
+// poll, or its result with ?wait=true.
+app.post('/backfill', rejectWhileDraining, requireAdmin, async (req, res) => {
+    if (!MISSIVE_API_KEY) {
+        return res.status(503).json({ error: 'Backfill not available', details: 'MISSIVE_API_KEY is not configured' });
+    }
+
+    let options;
+    try {
+        options = backfill.parseBackfillOptions({ ...req.query, ...req.body });
+    } catch (error) {
+        return res.status(400).json({ error: 'Invalid backfill request', details: error.message });
+    }
+    if (!options.dryRun && backfill.isRunning()) {
+        return res.status(409).json({ error: 'Backfill already running', details: 'Wait for the current run to finish (GET /backfill)' });
+    }
+
+    const run = backfill.startBackfill(options, {
+        skipReason: backfillSkipReason,
+        processMessage: (message, processOptions) => processBackfillMessage(run.id, message, processOptions)
+    });
+
+    const waitOptions = parseWaitOptions(req, req.body);
+    if (waitOptions) {
+        let timer;
+        const timedOut = await Promise.race([
+            run.done.then(() => false),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(true), waitOptions.timeoutMs);
+            })
+        ]);
+        clearTimeout(timer);
+        if (!timedOut) {
+            return res.status(run.state === 'completed' ? 200 : 500).json({ ...run, statusUrl: `/backfill/${run.id}` });
+        }
+    }
+
+    res.status(202).json({
+        success: true,
+        message: options.dryRun ? 'Backfill dry run started' : 'Backfill started',
+        runId: run.id,
+        state: run.state,
+        statusUrl: `/backfill/${run.id}`,
+        options,
+        timestamp: new Date().toISOString()
+    });
+});
+
+app.get('/backfill', requireAdmin, (req, res) => {
+    res.json({ runs: backfill.listRuns(), timestamp: new Date().toISOString() });
+});
+
+app.get('/backfill/:id', requireAdmin, (req, res) => {
+    const run = backfill.getRun(req.params.id);
+    if (!run) {
+        return res.status(404).json({ error: 'Backfill run not found', details: `No backfill run with ID ${req.params.id}` });
+    }
+    res.json(run);
+});
+
+// Start server once every store is loaded, so no request arrives before jobs and the
+// dedupe ledger are ready
+async function startServer() {
     // Ensure persistent directory exists
     await ensurePersistentDir();
+    await sweepStaleTempDirs();
+    
+    // Load persisted jobs and drop old finished ones
+    await jobStore.initJobStore(PERSISTENT_DIR);
+    await jobStore.pruneJobs(JOB_RETENTION_DAYS);
+    await dedupeLedger.initDedupeLedger(PERSISTENT_DIR);
+    await totalsLedger.initTotalsLedger(PERSISTENT_DIR);
+    await deadLetterStore.initDeadLetterStore(PERSISTENT_DIR);
+    await portalSession.initPortalSession();
+    await emailSource.initEmailSource(PERSISTENT_DIR);
+    await reportMonitor.initReportMonitor(PERSISTENT_DIR);
+    await reconciliation.initReconciliation(PERSISTENT_DIR);
+    await reportArchive.initReportArchive(PERSISTENT_DIR);
+    await diagnostics.initDiagnostics(PERSISTENT_DIR);
     
     // Initialize browser on startup
-    await initBrowser();
+    await browserPool.getBrowser();
+    
+    // Pick up jobs interrupted by the last shutdown
+    await resumeUnfinishedJobs();
+    
+    app.listen(PORT, () => {
+        console.log(`\n${'='.repeat(60)}`);
+        console.log(`WexDownloader Server v4.0`);
+        console.log(`${'='.repeat(60)}`);
+        console.log(`📋 Configuration:`);
+        console.log(`   Port: ${PORT}`);
+        console.log(`   Persistent Directory: ${PERSISTENT_DIR}`);
+        console.log(`   Browser Mode: ${HEADLESS ? 'Headless' : 'Visible'}`);
+        console.log(`   Max Retries: ${MAX_RETRIES}`);
+        console.log(`   Browser Contexts: ${BROWSER_MAX_CONTEXTS} concurrent`);
+        console.log(`   Missive API: ${MISSIVE_API_KEY ? '✓ Configured' : '✗ Not configured (WARNING)'}`);
+        console.log(`   Fuel Report Webhook: ${FUELREPORTWEBHOOK ? '✓ Configured' : '✗ Not configured'}`);
+        console.log(`   EFS Report Webhook: ${EFSREPORTWEBHOOK ? '✓ Configured' : '✗ Not configured'}`);
+        console.log(`   Webhook Signatures: ${MISSIVE_WEBHOOK_SECRET ? '✓ Verified' : '✗ Not verified (WARNING)'}`);
+        console.log(`   Admin API Key: ${ADMIN_API_KEY ? '✓ Required' : '✗ Not required (WARNING)'}`);
+        console.log(`   Portal Login: ${portalSession.isConfigured() ? `✓ Configured (${FLEETONE_USERNAME})` : '✗ Not configured'}`);
+        console.log(`\n📡 Endpoints:`);
+        console.log(`   POST http://localhost:${PORT}/processreport`);
+        console.log(`   POST http://localhost:${PORT}/ingest/eml`);
+        console.log(`   GET  http://localhost:${PORT}/health`);
+        console.log(`   GET  http://localhost:${PORT}/health/details`);
+        console.log(`   GET  http://localhost:${PORT}/metrics`);
+        console.log(`   POST http://localhost:${PORT}/restart-browser`);
+        console.log(`   POST http://localhost:${PORT}/portal-session/login`);
+        console.log(`   GET  http://localhost:${PORT}/jobs`);
+        console.log(`   GET  http://localhost:${PORT}/jobs/:id`);
+        console.log(`   GET  http://localhost:${PORT}/routes/test`);
+        console.log(`   GET  http://localhost:${PORT}/totals/daily`);
+        console.log(`   GET  http://localhost:${PORT}/totals/weekly`);
+        console.log(`   GET  http://localhost:${PORT}/dead-letters`);
+        console.log(`   GET  http://localhost:${PORT}/monitor`);
+        console.log(`   POST http://localhost:${PORT}/backfill`);
+        console.log(`   GET  http://localhost:${PORT}/reconciliation/:date`);
+        console.log(`   GET  http://localhost:${PORT}/reports`);
+        console.log(`${'='.repeat(60)}\n`);
+    });
+}
+
+startServer().catch(error => {
+    console.error('❌ Failed to start server:', error.message);
+    process.exit(1);
 });
\ No newline at end of file
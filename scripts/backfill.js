@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const axios = require('axios');
+
+// Start a backfill on the running server and follow it until it finishes.
+//
+//   npm run backfill -- --since 2024-01-01 [--until 2024-01-31] [--from emanager@efsllc.com]
+//       [--subject "/daily report/i"] [--mailbox all|inbox|closed] [--limit 100] [--dry-run] [--force]
+//
+// --from and --subject can be repeated. The server is BACKFILL_SERVER_URL (default
+// http://localhost:$PORT), authenticated with ADMIN_API_KEY.
+
+const SERVER_URL = process.env.BACKFILL_SERVER_URL || `http://localhost:${process.env.PORT || 3053}`;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY;
+const POLL_INTERVAL_MS = 5000;
+
+const VALUE_FLAGS = ['since', 'until', 'from', 'subject', 'mailbox', 'limit'];
+const LIST_FLAGS = ['from', 'subject'];
+
+function usage(message) {
+    if (message) {
+        console.error(`❌ ${message}\n`);
+    }
+    console.error('Usage: npm run backfill -- --since <date> [--until <date>] [--from <address>]... [--subject <pattern>]...');
+    console.error('                           [--mailbox all|inbox|closed] [--limit <n>] [--dry-run] [--force]');
+    process.exit(1);
+}
+
+function parseArgs(argv) {
+    const options = { from: [], subject: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const name = argv[i].replace(/^--/, '');
+        if (name === 'help') usage();
+        if (name === 'dry-run') {
+            options.dryRun = true;
+        } else if (name === 'force') {
+            options.force = true;
+        } else if (VALUE_FLAGS.includes(name)) {
+            const value = argv[++i];
+            if (value === undefined) usage(`--${name} needs a value`);
+            if (LIST_FLAGS.includes(name)) {
+                options[name].push(value);
+            } else {
+                options[name] = value;
+            }
+        } else {
+            usage(`Unknown option ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+function printMessages(messages) {
+    for (const message of messages) {
+        const job = message.jobId ? ` job ${message.jobId}` : '';
+        const error = message.error ? ` - ${message.error}` : '';
+        console.log(`   ${message.deliveredAt}  ${message.status.padEnd(17)} ${message.from}  "${message.subject}"${job}${error}`);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const client = axios.create({
+        baseURL: SERVER_URL,
+        headers: ADMIN_API_KEY ? { 'X-API-Key': ADMIN_API_KEY } : {},
+        timeout: 30000
+    });
+
+    const { data: started } = await client.post('/backfill', options);
+    console.log(`🕰️  ${started.message} (${started.runId}) on ${SERVER_URL}`);
+    console.log(`   ${started.options.since} to ${started.options.until}`);
+
+    // Poll until the run finishes, reporting progress as it changes
+    let run;
+    let lastProgress = null;
+    for (;;) {
+        ({ data: run } = await client.get(started.statusUrl));
+        if (run.state !== 'running') break;
+
+        const progress = `${run.scanned.conversations} conversation(s) scanned, ${run.messages.length} message(s) handled`;
+        if (progress !== lastProgress) {
+            console.log(`   ${progress}`);
+            lastProgress = progress;
+        }
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+
+    printMessages(run.messages);
+    console.log(`\n${run.state === 'completed' ? '✓' : '❌'} Backfill ${run.state}: ` +
+        `${run.scanned.conversations} conversation(s) scanned, ${run.messages.length} matching message(s)`);
+    console.log(`   ${JSON.stringify(run.counts)}`);
+    if (run.error) {
+        console.error(`   ${run.error}`);
+    }
+    process.exit(run.state === 'completed' && run.counts.failed === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+    const details = error.response?.data ? ` - ${error.response.data.error}: ${error.response.data.details || ''}` : '';
+    console.error(`❌ Backfill request failed: ${error.message}${details}`);
+    process.exit(1);
+});